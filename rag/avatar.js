@@ -0,0 +1,159 @@
+import "dotenv/config";
+import axios from "axios";
+import { textToVisemes } from "./visemes.js";
+
+//
+// AVATAR DRIVERS
+//
+// Takes the spoken sentences of an answer (see tts.js) and turns them into
+// avatar commands. Pick a driver with AVATAR_PROVIDER:
+//   local  - built-in stand-in: viseme timeline per sentence, rendered by the
+//            2D mouth in the React avatar panel (default)
+//   heygen - HeyGen streaming avatar; the vendor speaks the text itself and
+//            streams video to the client over its own WebRTC session
+//   none   - no avatar events
+//
+// A driver is created per answer and exposes:
+//   { name, voiced, speak(sentence), interrupt(), idle(at_ms) }
+// voiced means the avatar speaks the text itself, so no local speech audio
+// is sent.
+// Each returns the command sent to the client as an `avatar` SSE event:
+//   { type: "speak", index, start_ms, duration_ms, visemes? }
+//   { type: "interrupt" }
+//   { type: "idle", at_ms }
+//
+export const AVATAR_PROVIDER = (
+  process.env.AVATAR_PROVIDER || "local"
+).toLowerCase();
+
+const HEYGEN_API_URL = process.env.HEYGEN_API_URL || "https://api.heygen.com";
+const HEYGEN_API_KEY = process.env.HEYGEN_API_KEY;
+const HEYGEN_AVATAR_ID = process.env.HEYGEN_AVATAR_ID;
+const HEYGEN_VOICE_ID = process.env.HEYGEN_VOICE_ID;
+
+//
+// Local stand-in
+//
+function createLocalDriver() {
+  return {
+    name: "local",
+    voiced: false,
+    async speak({ index, text, start_ms, duration_ms }) {
+      return {
+        type: "speak",
+        index,
+        start_ms,
+        duration_ms,
+        visemes: textToVisemes(text, duration_ms),
+      };
+    },
+    async interrupt() {
+      return { type: "interrupt" };
+    },
+    async idle(at_ms) {
+      return { type: "idle", at_ms };
+    },
+  };
+}
+
+//
+// HeyGen streaming avatar
+//
+async function heygen(path, body) {
+  if (!HEYGEN_API_KEY) {
+    throw new Error("AVATAR_PROVIDER=heygen needs HEYGEN_API_KEY");
+  }
+  const res = await axios.post(`${HEYGEN_API_URL}/v1/${path}`, body, {
+    headers: { "x-api-key": HEYGEN_API_KEY },
+  });
+  return res.data.data;
+}
+
+function createHeygenDriver({ sessionId }) {
+  if (!sessionId) {
+    throw new Error(
+      "HeyGen avatar needs avatarSessionId from /api/avatar/session"
+    );
+  }
+  return {
+    name: "heygen",
+    voiced: true,
+    // HeyGen does its own speech and lip sync; the sentence timing is still
+    // passed on so the client can keep captions in step
+    async speak({ index, text, start_ms, duration_ms }) {
+      await heygen("streaming.task", {
+        session_id: sessionId,
+        text,
+        task_type: "repeat",
+      });
+      return { type: "speak", index, start_ms, duration_ms };
+    },
+    async interrupt() {
+      await heygen("streaming.interrupt", { session_id: sessionId });
+      return { type: "interrupt" };
+    },
+    async idle(at_ms) {
+      return { type: "idle", at_ms };
+    },
+  };
+}
+
+const FACTORIES = {
+  local: createLocalDriver,
+  heygen: createHeygenDriver,
+};
+
+export function avatarEnabled() {
+  return AVATAR_PROVIDER !== "none";
+}
+
+// A vendor avatar only speaks into a session a client has opened
+export function avatarNeedsSession() {
+  return AVATAR_PROVIDER === "heygen";
+}
+
+// Driver for one answer. sessionId is the vendor session, if the provider
+// has one (see startAvatarSession).
+export function createAvatarDriver({ sessionId } = {}) {
+  const factory = FACTORIES[AVATAR_PROVIDER];
+  if (!factory) {
+    throw new Error(
+      `Unknown AVATAR_PROVIDER "${AVATAR_PROVIDER}" (expected ${[
+        ...Object.keys(FACTORIES),
+        "none",
+      ].join(", ")})`
+    );
+  }
+  return factory({ sessionId });
+}
+
+//
+// Vendor sessions
+//
+// The local driver needs none. For HeyGen the client gets the WebRTC room
+// details to attach its video player, and passes session_id back to the chat
+// route as avatarSessionId. A chat request without one (the React app has no
+// HeyGen player) is spoken locally, without avatar commands.
+//
+export async function startAvatarSession() {
+  if (AVATAR_PROVIDER !== "heygen") return { provider: AVATAR_PROVIDER };
+
+  const session = await heygen("streaming.new", {
+    version: "v2",
+    ...(HEYGEN_AVATAR_ID && { avatar_id: HEYGEN_AVATAR_ID }),
+    ...(HEYGEN_VOICE_ID && { voice: { voice_id: HEYGEN_VOICE_ID } }),
+  });
+  await heygen("streaming.start", { session_id: session.session_id });
+
+  return {
+    provider: "heygen",
+    session_id: session.session_id,
+    url: session.url,
+    access_token: session.access_token,
+  };
+}
+
+export async function stopAvatarSession(sessionId) {
+  if (AVATAR_PROVIDER !== "heygen") return;
+  await heygen("streaming.stop", { session_id: sessionId });
+}
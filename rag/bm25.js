@@ -0,0 +1,84 @@
+import { CHUNK_TOKENS } from "./chunker.js";
+
+//
+// BM25 SPARSE VECTORS
+//
+// Keyword side of hybrid retrieval. Chunks are stored in Qdrant with a sparse
+// vector of BM25 term weights (tf saturation + length normalization), and the
+// collection's sparse vector uses Qdrant's `idf` modifier so IDF is computed
+// server-side over the whole corpus. Queries send each term with weight 1.
+//
+// Terms are hashed to 32-bit ids, so no vocabulary needs to be stored.
+//
+export const SPARSE_VECTOR_NAME = "bm25";
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Chunks are packed to roughly CHUNK_TOKENS, which is close enough to the
+// corpus average for length normalization
+const AVG_DOC_TERMS = CHUNK_TOKENS * 0.6;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by do does for from has have how i if in into is it its " +
+    "me my no not of on or our so than that the their them then there these they this " +
+    "to was we what when where which who why will with you your"
+  ).split(" ")
+);
+
+// Lowercased terms. Codes like "SOP-114" or "29CFR1910.147" are kept whole
+// and also split into their parts so "SOP 114" still matches.
+const TERM_RE = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+
+export function tokenize(text) {
+  const terms = [];
+  for (const raw of text.toLowerCase().match(TERM_RE) || []) {
+    const parts = raw.split(/[-_./]/);
+    if (parts.length > 1) terms.push(raw);
+    for (const p of parts) {
+      if (!STOPWORDS.has(p)) terms.push(p);
+    }
+  }
+  return terms;
+}
+
+// FNV-1a, unsigned 32-bit
+function termId(term) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    h ^= term.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function toSparse(weights) {
+  const entries = [...weights.entries()].sort(([a], [b]) => a - b);
+  return {
+    indices: entries.map(([i]) => i),
+    values: entries.map(([, v]) => v),
+  };
+}
+
+export function documentSparseVector(text) {
+  const terms = tokenize(text);
+  const tf = new Map();
+  for (const t of terms) {
+    const id = termId(t);
+    tf.set(id, (tf.get(id) || 0) + 1);
+  }
+
+  const norm = 1 - BM25_B + BM25_B * (terms.length / AVG_DOC_TERMS);
+  const weights = new Map();
+  for (const [id, f] of tf) {
+    weights.set(id, (f * (BM25_K1 + 1)) / (f + BM25_K1 * norm));
+  }
+  return toSparse(weights);
+}
+
+export function querySparseVector(text) {
+  const weights = new Map();
+  for (const t of tokenize(text)) weights.set(termId(t), 1);
+  return toSparse(weights);
+}
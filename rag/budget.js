@@ -0,0 +1,173 @@
+import { tokenize } from "./bm25.js";
+import { estimateTokens, normalizeText, splitSentences } from "./chunker.js";
+
+//
+// PROMPT BUDGET
+//
+// The answer prompt has to fit the model's context window (the answer
+// purpose's num_ctx, see llm.js) together with room for the answer. What is
+// left after the system prompt and the question is split between the
+// conversation and the retrieved chunks:
+//   history - the newest turns that fit in RAG_HISTORY_TOKENS (at most half
+//             of what is left); older turns are rolled into a running
+//             summary instead of being dropped
+//   chunks  - everything else, shared between the hits; a chunk that doesn't
+//             fit is cut down to the sentences that match the query
+//
+// Token counts are estimates (estimateTokens), which is close enough for
+// Llama-style tokenizers on English text.
+//
+export const RAG_ANSWER_TOKENS = parseInt(
+  process.env.RAG_ANSWER_TOKENS || "512",
+  10
+);
+export const RAG_HISTORY_TOKENS = parseInt(
+  process.env.RAG_HISTORY_TOKENS || "1024",
+  10
+);
+
+// Room kept for the running summary once there is one
+export const SUMMARY_TOKENS = 200;
+// "[#2] manual.pdf (page 4, "Lockout > Steps")" and the blank line after it
+const CHUNK_HEADER_TOKENS = 32;
+// Fewer, longer chunks beat many that are too short to say anything
+const MIN_CHUNK_TOKENS = 80;
+
+export const countTokens = (text) => (text ? estimateTokens(text) : 0);
+
+// Cut to at most maxTokens on a word boundary
+export function truncateTokens(text, maxTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+  let out = "";
+  for (const word of text.split(/\s+/)) {
+    const next = out ? `${out} ${word}` : word;
+    if (countTokens(next) > maxTokens) break;
+    out = next;
+  }
+  return out && `${out} …`;
+}
+
+// { numCtx, fixed } -> { available, history }: tokens for history and
+// chunks together, and the most the history may take of them. `fixed` is
+// what the prompt needs whatever happens (system prompt, labels, question).
+export function planBudget({ numCtx, fixed }) {
+  const available = Math.max(numCtx - RAG_ANSWER_TOKENS - fixed, 0);
+  const history = Math.min(RAG_HISTORY_TOKENS, Math.floor(available / 2));
+  return { available, history };
+}
+
+//
+// CHUNKS
+//
+
+// The sentences of `text` that best match the query terms, up to maxTokens.
+// The best-matching sentence comes first, then the other matches, then its
+// neighbours; they are put back in document order with "…" for the gaps.
+export function trimToQuery(text, terms, maxTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+
+  const normalized = normalizeText(text);
+  const sentences = splitSentences(normalized).map((s, i) => ({
+    ...s,
+    i,
+    score: new Set(
+      tokenize(normalized.slice(s.start, s.end)).filter((t) => terms.has(t))
+    ).size,
+  }));
+  if (sentences.length === 0) return "";
+
+  const best = sentences.reduce((a, b) => (b.score > a.score ? b : a));
+  const ranked = [...sentences].sort(
+    (a, b) =>
+      b.score - a.score || Math.abs(a.i - best.i) - Math.abs(b.i - best.i)
+  );
+
+  const picked = [];
+  let used = 0;
+  for (const s of ranked) {
+    if (used + s.tokens > maxTokens) continue;
+    picked.push(s);
+    used += s.tokens;
+  }
+  if (picked.length === 0) {
+    const bestText = normalized.slice(best.start, best.end);
+    return truncateTokens(bestText, maxTokens);
+  }
+
+  picked.sort((a, b) => a.i - b.i);
+  let out = picked[0].i > 0 ? "… " : "";
+  picked.forEach((s, k) => {
+    if (k > 0) out += s.i === picked[k - 1].i + 1 ? " " : " … ";
+    out += normalized.slice(s.start, s.end);
+  });
+  if (picked.at(-1).i < sentences.length - 1) out += " …";
+  return out;
+}
+
+// hits (best first) -> the hits that go into the prompt, each with an
+// `excerpt` of its content that fits maxTokens between them. Short chunks
+// are kept whole and what they don't use goes to the longer ones; the
+// lowest-ranked hits are left out when there isn't room for all of them.
+export function fitChunks(hits, { query, maxTokens }) {
+  let n = hits.length;
+  while (n > 0 && maxTokens / n < MIN_CHUNK_TOKENS) n--;
+  const kept = hits.slice(0, n);
+
+  const sizes = kept.map(
+    (h) => countTokens(h.payload?.content) + CHUNK_HEADER_TOKENS
+  );
+  const allowance = new Array(n);
+  let remaining = maxTokens;
+  [...sizes.keys()]
+    .sort((a, b) => sizes[a] - sizes[b])
+    .forEach((idx, k) => {
+      allowance[idx] = Math.min(sizes[idx], Math.floor(remaining / (n - k)));
+      remaining -= allowance[idx];
+    });
+
+  const terms = new Set(tokenize(query));
+  return kept.map((hit, i) => ({
+    ...hit,
+    excerpt: trimToQuery(
+      hit.payload?.content || "",
+      terms,
+      allowance[i] - CHUNK_HEADER_TOKENS
+    ),
+  }));
+}
+
+//
+// HISTORY
+//
+const messageTokens = (m) => countTokens(`${m.role}: ${m.content}`);
+
+// -> { history, summary, summarized }. When the summary and history don't
+// fit maxTokens, the oldest messages (whole turns) are rolled into the
+// summary with summarize({ summary, messages }); `summarized` is how many.
+export async function fitHistory({ history, summary, maxTokens, summarize }) {
+  const total =
+    countTokens(summary) + history.reduce((n, m) => n + messageTokens(m), 0);
+  if (total <= maxTokens) return { history, summary, summarized: 0 };
+
+  let used = 0;
+  let start = history.length;
+  while (
+    start > 0 &&
+    used + messageTokens(history[start - 1]) <= maxTokens - SUMMARY_TOKENS
+  ) {
+    used += messageTokens(history[--start]);
+  }
+  // Keep turns whole: the recent part starts with a question
+  while (history[start]?.role === "assistant") start++;
+  if (start === 0) return { history, summary, summarized: 0 };
+
+  const text = await summarize({
+    summary,
+    messages: history.slice(0, start),
+  });
+  return {
+    history: history.slice(start),
+    summary: truncateTokens(text, SUMMARY_TOKENS),
+    summarized: start,
+  };
+}
@@ -0,0 +1,161 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { cosineSimilarity } from "./embeddings.js";
+import { loadManifest } from "./ingestion.js";
+
+//
+// ANSWER CACHE
+//
+// Learners in a rollout keep asking the same questions. Once a training
+// question has been answered (and passed the grounding check), the answer
+// is kept under the embedding of its standalone query, so the next learner
+// who asks the same thing in the same course scope skips search and
+// generation:
+//   lookup - cosine similarity of at least ANSWER_CACHE_THRESHOLD to a
+//            stored query with the same scope filter; the best match wins
+//   store  - at most ANSWER_CACHE_SIZE entries, least recently used go first
+//
+// An entry remembers when each document behind its answer was ingested
+// (ingested_at in the ingest manifest). When any of them has been
+// re-ingested or removed since, the entry is dropped on the next lookup;
+// that works for the ingest CLI as well as the document API, without a
+// restart.
+//
+// entry: { id, query, scope, vector, answer, hits, grounding, sources:
+//          { [source_path]: ingested_at }, created_at, last_used_at, uses }
+//
+// The cache is one JSON file (ANSWER_CACHE_PATH).
+//
+export const ANSWER_CACHE_SIZE = parseInt(
+  process.env.ANSWER_CACHE_SIZE || "500",
+  10
+);
+const ANSWER_CACHE_THRESHOLD = parseFloat(
+  process.env.ANSWER_CACHE_THRESHOLD || "0.92"
+);
+const ANSWER_CACHE_PATH =
+  process.env.ANSWER_CACHE_PATH ||
+  path.join(process.cwd(), "answer-cache.json");
+// Pause between replayed words, close to how fast the LLM streams
+const ANSWER_CACHE_REPLAY_MS = parseInt(
+  process.env.ANSWER_CACHE_REPLAY_MS || "40",
+  10
+);
+
+// Qdrant filters come from buildScopeFilter(), so equal scopes serialize
+// the same
+const scopeKey = (filter) => JSON.stringify(filter ?? null);
+
+// { [source_path]: ingested_at } for the documents behind some hits
+function sourcesOf(hits, manifest) {
+  return Object.fromEntries(
+    [...new Set(hits.map((h) => h.payload?.source_path).filter(Boolean))].map(
+      (p) => [p, manifest.files[p]?.ingested_at ?? null]
+    )
+  );
+}
+
+const isCurrent = (entry, manifest) =>
+  Object.entries(entry.sources).every(
+    ([p, ingestedAt]) => (manifest.files[p]?.ingested_at ?? null) === ingestedAt
+  );
+
+// Streams a cached answer word by word, like the LLM would. Aborting
+// `signal` stops it and rejects with signal.reason.
+export async function replayAnswer(
+  text,
+  onToken,
+  { signal, delayMs = ANSWER_CACHE_REPLAY_MS } = {}
+) {
+  const pieces = text.match(/\s*\S+\s*/g) || [];
+  for (const [i, piece] of pieces.entries()) {
+    if (i > 0) await new Promise((resolve) => setTimeout(resolve, delayMs));
+    signal?.throwIfAborted();
+    onToken(piece);
+  }
+}
+
+export function createAnswerCache(filePath = ANSWER_CACHE_PATH) {
+  let data = { version: 1, entries: [] };
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  // Write-then-rename so a crash never leaves a half-written file
+  function persist() {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+  }
+
+  // Drops entries whose documents were re-ingested or removed
+  function sweep(manifest) {
+    const before = data.entries.length;
+    data.entries = data.entries.filter((e) => isCurrent(e, manifest));
+    if (data.entries.length !== before) {
+      console.log(`🧹 Answer cache: ${before - data.entries.length} stale`);
+      persist();
+    }
+  }
+
+  return {
+    // { vector, filter } -> { entry, similarity } or null
+    async lookup({ vector, filter }) {
+      sweep(loadManifest());
+
+      const scope = scopeKey(filter);
+      let best = null;
+      let bestSim = ANSWER_CACHE_THRESHOLD;
+      for (const entry of data.entries) {
+        if (entry.scope !== scope) continue;
+        const sim = cosineSimilarity(vector, entry.vector);
+        if (sim >= bestSim) {
+          best = entry;
+          bestSim = sim;
+        }
+      }
+      if (!best) return null;
+
+      // Saved with the next write; not worth rewriting the file per hit
+      best.last_used_at = new Date().toISOString();
+      best.uses += 1;
+      return { entry: best, similarity: Math.round(bestSim * 1000) / 1000 };
+    },
+
+    // { query, vector, filter, answer, hits, grounding } -> entry
+    async store({ query, vector, filter, answer, hits, grounding }) {
+      const now = new Date().toISOString();
+      const entry = {
+        id: crypto.randomUUID(),
+        query,
+        scope: scopeKey(filter),
+        vector,
+        answer,
+        hits: hits.map(({ id, score, scores, payload, excerpt }) => ({
+          id,
+          score,
+          ...(scores && { scores }),
+          payload,
+          ...(excerpt != null && { excerpt }),
+        })),
+        grounding: grounding ?? null,
+        sources: sourcesOf(hits, loadManifest()),
+        created_at: now,
+        last_used_at: now,
+        uses: 0,
+      };
+
+      data.entries.push(entry);
+      if (data.entries.length > ANSWER_CACHE_SIZE) {
+        data.entries.sort((a, b) =>
+          b.last_used_at.localeCompare(a.last_used_at)
+        );
+        data.entries.length = ANSWER_CACHE_SIZE;
+      }
+      persist();
+      return entry;
+    },
+  };
+}
@@ -0,0 +1,247 @@
+//
+// CHUNKING
+//
+// Sliding-window chunker. Text is split into sentences (paragraph breaks
+// always end a sentence), then whole sentences are packed into windows of
+// about CHUNK_TOKENS tokens. Each new window re-uses up to
+// CHUNK_OVERLAP_TOKENS worth of trailing sentences from the previous one so
+// an answer that straddles a boundary is still retrievable.
+//
+export const CHUNK_TOKENS = parseInt(process.env.CHUNK_TOKENS || "200", 10);
+const CHUNK_OVERLAP_TOKENS = parseInt(
+  process.env.CHUNK_OVERLAP_TOKENS || "40",
+  10
+);
+
+// Close a window early at a paragraph break once it is this full
+const PARAGRAPH_BREAK_FILL = 0.6;
+
+const PAGE_SEPARATOR = "\n\n";
+
+// Rough WordPiece estimate for MiniLM: one token per word plus one per
+// extra 8 characters, and one per punctuation mark.
+export function estimateTokens(text) {
+  const parts = text.match(/\w+|[^\w\s]/g) || [];
+  let tokens = 0;
+  for (const p of parts) tokens += 1 + Math.floor(p.length / 8);
+  return tokens;
+}
+
+// Collapse whitespace inside paragraphs but keep blank-line paragraph breaks
+export function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((para) => para.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Lowercase words and numbers only, single-spaced, with curly apostrophes
+// made straight: for matching what people type or an LLM writes against
+// fixed phrases
+export const simplifyText = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^\p{L}\p{N}' ]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Sentences of already-normalized text, with char offsets into it and
+// estimated tokens
+export function splitSentences(text) {
+  const units = [];
+  const paraRe = /[^\n]+/g;
+  let para;
+
+  while ((para = paraRe.exec(text))) {
+    const sentRe = /.+?(?:[.!?]["')\]]*(?=\s+["'(\[]?[A-Z0-9])|$)/g;
+    const sentences = [];
+    let m;
+
+    while ((m = sentRe.exec(para[0]))) {
+      const lead = m[0].length - m[0].trimStart().length;
+      const body = m[0].trim();
+      if (!body) continue;
+      const start = para.index + m.index + lead;
+      sentences.push({ start, end: start + body.length });
+    }
+
+    sentences.forEach((s, i) => {
+      const sentText = text.slice(s.start, s.end);
+      for (const piece of splitLongSentence(sentText, s.start)) {
+        units.push(piece);
+      }
+      if (i === sentences.length - 1) {
+        units[units.length - 1].paragraphEnd = true;
+      }
+    });
+  }
+
+  return units;
+}
+
+// A single sentence longer than the window is cut on word boundaries
+function splitLongSentence(sentText, offset) {
+  const tokens = estimateTokens(sentText);
+  if (tokens <= CHUNK_TOKENS) {
+    return [{ start: offset, end: offset + sentText.length, tokens }];
+  }
+
+  const pieces = [];
+  const wordRe = /\S+/g;
+  let pieceStart = null;
+  let pieceEnd = 0;
+  let pieceTokens = 0;
+  let w;
+
+  while ((w = wordRe.exec(sentText))) {
+    const t = estimateTokens(w[0]);
+    if (pieceStart !== null && pieceTokens + t > CHUNK_TOKENS) {
+      pieces.push({
+        start: offset + pieceStart,
+        end: offset + pieceEnd,
+        tokens: pieceTokens,
+      });
+      pieceStart = null;
+      pieceTokens = 0;
+    }
+    if (pieceStart === null) pieceStart = w.index;
+    pieceEnd = w.index + w[0].length;
+    pieceTokens += t;
+  }
+
+  if (pieceStart !== null) {
+    pieces.push({
+      start: offset + pieceStart,
+      end: offset + pieceEnd,
+      tokens: pieceTokens,
+    });
+  }
+
+  return pieces;
+}
+
+// Pack sentence units into overlapping windows: [{ start, end }]
+function packWindows(units) {
+  const windows = [];
+  let i = 0;
+
+  while (i < units.length) {
+    let j = i;
+    let tokens = 0;
+
+    while (j < units.length) {
+      if (j > i && tokens + units[j].tokens > CHUNK_TOKENS) break;
+      tokens += units[j].tokens;
+      j++;
+      if (
+        units[j - 1].paragraphEnd &&
+        tokens >= CHUNK_TOKENS * PARAGRAPH_BREAK_FILL
+      ) {
+        break;
+      }
+    }
+
+    windows.push({ start: units[i].start, end: units[j - 1].end });
+    if (j >= units.length) break;
+
+    // Step back over trailing sentences for overlap, but always move forward
+    // and leave room for the next unseen sentence
+    let k = j;
+    let back = 0;
+    while (k - 1 > i) {
+      const t = units[k - 1].tokens;
+      if (back + t > CHUNK_OVERLAP_TOKENS) break;
+      if (back + t + units[j].tokens > CHUNK_TOKENS) break;
+      back += t;
+      k--;
+    }
+    i = k;
+  }
+
+  return windows;
+}
+
+//
+// PUBLIC API
+//
+
+// sections: [{ text, meta }] -> [{ text, meta }]
+// A section is a page, a slide or the text under one heading, as produced by
+// the extractors. Consecutive sections with the same heading / slide are
+// joined so windows can run across page breaks; a new heading or slide always
+// starts a new window, so every chunk belongs to exactly one of them. Char
+// offsets refer to the normalized document (all sections joined).
+//
+// Section meta that is carried into each chunk:
+//   page_number                 -> page_number (first) + page_numbers (all)
+//   slide_number, section_title, heading_path -> copied as is
+const GROUP_KEYS = ["slide_number", "section_title", "heading_path"];
+
+function groupKey(meta = {}) {
+  return JSON.stringify(GROUP_KEYS.map((k) => meta[k] ?? null));
+}
+
+export function chunkSections(sections) {
+  const spans = [];
+  let doc = "";
+
+  for (const section of sections) {
+    const text = normalizeText(section.text || "");
+    if (!text) continue;
+    if (doc) doc += PAGE_SEPARATOR;
+    const meta = section.meta || {};
+    spans.push({ meta, key: groupKey(meta), start: doc.length });
+    doc += text;
+    spans[spans.length - 1].end = doc.length;
+  }
+
+  // Runs of spans with the same group key
+  const groups = [];
+  for (const span of spans) {
+    const last = groups[groups.length - 1];
+    if (last && last.key === span.key) {
+      last.end = span.end;
+      last.spans.push(span);
+    } else {
+      groups.push({
+        key: span.key,
+        start: span.start,
+        end: span.end,
+        spans: [span],
+      });
+    }
+  }
+
+  // Sentences never cross a section break, so each one falls in one group
+  const units = splitSentences(doc);
+  const windows = groups.flatMap((g) =>
+    packWindows(units.filter((u) => u.start >= g.start && u.end <= g.end)).map(
+      (w) => ({ ...w, group: g })
+    )
+  );
+
+  return windows.map((w, idx) => {
+    const meta = { chunk_index: idx, char_start: w.start, char_end: w.end };
+
+    const pageNums = w.group.spans
+      .filter(
+        (s) => s.meta.page_number != null && s.start < w.end && s.end > w.start
+      )
+      .map((s) => s.meta.page_number);
+
+    if (pageNums.length > 0) {
+      meta.page_number = pageNums[0];
+      meta.page_numbers = [...new Set(pageNums)];
+    }
+
+    const groupMeta = w.group.spans[0].meta;
+    for (const key of GROUP_KEYS) {
+      if (groupMeta[key] != null) meta[key] = groupMeta[key];
+    }
+
+    return { text: doc.slice(w.start, w.end), meta };
+  });
+}
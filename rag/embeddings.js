@@ -0,0 +1,163 @@
+import "dotenv/config";
+import axios from "axios";
+
+//
+// EMBEDDING PROVIDERS
+//
+// Shared by ingest.js and server.js so documents and queries are always
+// embedded the same way. Pick a backend with EMBED_PROVIDER:
+//   hf     - HuggingFace Inference API (needs HF_API_TOKEN + network)
+//   ollama - Ollama /api/embeddings (OLLAMA_EMBED_MODEL)
+//   local  - in-process transformers.js on CPU, no network after the
+//            first model download (LOCAL_EMBED_MODEL)
+//
+// Every provider exposes the same shape:
+//   { name, model, embedBatch(texts) -> number[][], embedQuery(text) -> number[] }
+//
+const EMBED_PROVIDER = (process.env.EMBED_PROVIDER || "hf").toLowerCase();
+
+const HF_API_TOKEN = process.env.HF_API_TOKEN;
+const HF_EMBED_MODEL =
+  process.env.HF_EMBED_MODEL || "sentence-transformers/all-MiniLM-L6-v2";
+
+const OLLAMA_URL = process.env.OLLAMA_URL || "http://127.0.0.1:11434";
+const OLLAMA_EMBED_MODEL = process.env.OLLAMA_EMBED_MODEL || "all-minilm";
+
+const LOCAL_EMBED_MODEL =
+  process.env.LOCAL_EMBED_MODEL || "Xenova/all-MiniLM-L6-v2";
+
+export const EMBED_DIMS = parseInt(process.env.EMBED_DIMS || "384", 10);
+
+//
+// HuggingFace Inference
+//
+async function createHfEmbedder() {
+  const { InferenceClient } = await import("@huggingface/inference");
+  const hf = new InferenceClient(HF_API_TOKEN);
+
+  async function embedBatch(texts) {
+    const result = await hf.featureExtraction({
+      model: HF_EMBED_MODEL,
+      inputs: texts, // HF client supports batched input
+      provider: "hf-inference",
+    });
+
+    // Case: [[float,...],[float,...]]
+    if (Array.isArray(result) && Array.isArray(result[0])) return result;
+
+    // Case: [float,...] (single embedding)
+    if (Array.isArray(result) && typeof result[0] === "number") {
+      return [result];
+    }
+
+    throw new Error(
+      "Unexpected embedding format: " + JSON.stringify(result).slice(0, 200)
+    );
+  }
+
+  return { name: "hf", model: HF_EMBED_MODEL, embedBatch };
+}
+
+//
+// Ollama
+//
+async function createOllamaEmbedder() {
+  async function embedBatch(texts) {
+    // /api/embeddings takes one prompt per call
+    const vectors = [];
+    for (const text of texts) {
+      const resp = await axios.post(`${OLLAMA_URL}/api/embeddings`, {
+        model: OLLAMA_EMBED_MODEL,
+        prompt: text,
+      });
+      if (!Array.isArray(resp.data.embedding)) {
+        throw new Error("Unexpected embedding format from Ollama");
+      }
+      vectors.push(resp.data.embedding);
+    }
+    return vectors;
+  }
+
+  return { name: "ollama", model: OLLAMA_EMBED_MODEL, embedBatch };
+}
+
+//
+// Local (transformers.js, CPU)
+//
+async function createLocalEmbedder() {
+  let transformers;
+  try {
+    transformers = await import("@huggingface/transformers");
+  } catch {
+    throw new Error(
+      "EMBED_PROVIDER=local needs @huggingface/transformers (npm install @huggingface/transformers)"
+    );
+  }
+
+  const extractor = await transformers.pipeline(
+    "feature-extraction",
+    LOCAL_EMBED_MODEL,
+    { device: "cpu" }
+  );
+
+  async function embedBatch(texts) {
+    // Mean pooling + L2 normalization matches sentence-transformers output
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  }
+
+  return { name: "local", model: LOCAL_EMBED_MODEL, embedBatch };
+}
+
+const FACTORIES = {
+  hf: createHfEmbedder,
+  ollama: createOllamaEmbedder,
+  local: createLocalEmbedder,
+};
+
+let embedderPromise = null;
+
+// Lazily builds the configured provider once per process
+export function getEmbedder() {
+  if (!embedderPromise) {
+    const factory = FACTORIES[EMBED_PROVIDER];
+    if (!factory) {
+      throw new Error(
+        `Unknown EMBED_PROVIDER "${EMBED_PROVIDER}" (expected ${Object.keys(
+          FACTORIES
+        ).join(", ")})`
+      );
+    }
+    embedderPromise = factory().then((e) => ({
+      ...e,
+      embedQuery: async (text) => (await e.embedBatch([text]))[0],
+    }));
+    embedderPromise.catch(() => {
+      embedderPromise = null; // allow a retry after e.g. a failed download
+    });
+  }
+  return embedderPromise;
+}
+
+export async function embedBatch(texts) {
+  return (await getEmbedder()).embedBatch(texts);
+}
+
+export async function embedQuery(text) {
+  return (await getEmbedder()).embedQuery(text);
+}
+
+// Cosine similarity of two vectors; -1 when their dimensions differ (e.g.
+// a vector stored before the embedder changed)
+export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return -1;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
@@ -0,0 +1,327 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { GROUNDING_MODE } from "./grounding.js";
+import { describeLLM } from "./llm.js";
+import { createRagPipeline, NO_ANSWER, RAG_TOP_K } from "./pipeline.js";
+import { buildScopeFilter } from "./qdrant.js";
+import { OFF_TOPIC_ANSWER } from "./router.js";
+import { tokenize } from "./bm25.js";
+
+//
+// OFFLINE EVALUATION
+//
+// Runs a golden dataset through the same pipeline the chat routes use and
+// scores retrieval and answers. Usage:
+//
+//   node eval.js eval/golden.example.jsonl [--k 5] [--no-generate]
+//                [--out eval-results] [--baseline eval-results/<run>.json]
+//
+// Dataset: one JSON object per line
+//   question        string, required
+//   history         [{ role, content }] asked before the question (optional)
+//   course_id, module_id, doc_id   retrieval scope (optional)
+//   expected_sources [{ source_path, page? }] chunks that answer it
+//   key_points      [string] facts a good answer mentions
+//   out_of_scope    true when the right answer is a refusal (the "not in
+//                   the materials" one or the router's off-topic one)
+//
+// Writes <out>/<timestamp>.json and .md. With --baseline the Markdown report
+// also shows the change against an earlier run.
+//
+
+// Share of a key point's terms the answer must contain to count as covered
+const KEY_POINT_OVERLAP = parseFloat(
+  process.env.EVAL_KEY_POINT_OVERLAP || "0.6"
+);
+
+function parseArgs(argv) {
+  const args = {
+    dataset: null,
+    k: RAG_TOP_K,
+    generate: true,
+    out: "eval-results",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--k") args.k = parseInt(argv[++i], 10);
+    else if (a === "--no-generate") args.generate = false;
+    else if (a === "--out") args.out = argv[++i];
+    else if (a === "--baseline") args.baseline = argv[++i];
+    else if (!args.dataset) args.dataset = a;
+  }
+  if (!args.dataset) {
+    console.error(
+      "Usage: node eval.js <dataset.jsonl> [--k 5] [--no-generate] [--out dir] [--baseline report.json]"
+    );
+    process.exit(1);
+  }
+  return args;
+}
+
+function loadDataset(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((l, i) => {
+      const item = JSON.parse(l);
+      if (typeof item.question !== "string") {
+        throw new Error(`${file}:${i + 1}: "question" is required`);
+      }
+      return { id: item.id || `q${i + 1}`, ...item };
+    });
+}
+
+//
+// METRICS
+//
+
+// A hit matches when the file matches and, if a page is given, the chunk
+// covers that page
+function hitMatches(hit, expected) {
+  const p = hit.payload || {};
+  if (p.source_path !== expected.source_path) return false;
+  if (expected.page == null) return true;
+  const pages = p.page_numbers || (p.page_number ? [p.page_number] : []);
+  return pages.includes(expected.page);
+}
+
+function retrievalMetrics(hits, expectedSources) {
+  const found = expectedSources.filter((e) =>
+    hits.some((h) => hitMatches(h, e))
+  );
+  const firstRank = hits.findIndex((h) =>
+    expectedSources.some((e) => hitMatches(h, e))
+  );
+  return {
+    recall: found.length / expectedSources.length,
+    reciprocal_rank: firstRank === -1 ? 0 : 1 / (firstRank + 1),
+    first_relevant_rank: firstRank === -1 ? null : firstRank + 1,
+  };
+}
+
+const normalizeQuotes = (s) => s.replace(/[‘’]/g, "'").toLowerCase();
+const REFUSALS = [NO_ANSWER, OFF_TOPIC_ANSWER].map((r) =>
+  normalizeQuotes(r).replace(/[.]$/, "")
+);
+
+function isRefusal(answer) {
+  const text = normalizeQuotes(answer);
+  return REFUSALS.some((r) => text.includes(r));
+}
+
+function keyPointCoverage(answer, keyPoints) {
+  const answerTerms = new Set(tokenize(answer));
+  const covered = keyPoints.filter((kp) => {
+    const terms = [...new Set(tokenize(kp))];
+    if (terms.length === 0) return true;
+    const present = terms.filter((t) => answerTerms.has(t)).length;
+    return present / terms.length >= KEY_POINT_OVERLAP;
+  });
+  return {
+    coverage: covered.length / keyPoints.length,
+    missed: keyPoints.filter((kp) => !covered.includes(kp)),
+  };
+}
+
+const mean = (xs) =>
+  xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+
+function summarize(results, k) {
+  const withSources = results.filter((r) => r.retrieval);
+  const withKeyPoints = results.filter((r) => r.key_points);
+  const outOfScope = results.filter((r) => r.out_of_scope && r.answer != null);
+  const inScope = results.filter((r) => !r.out_of_scope && r.answer != null);
+
+  return {
+    questions: results.length,
+    errors: results.filter((r) => r.error).length,
+    [`recall@${k}`]: mean(withSources.map((r) => r.retrieval.recall)),
+    mrr: mean(withSources.map((r) => r.retrieval.reciprocal_rank)),
+    key_point_coverage: mean(withKeyPoints.map((r) => r.key_points.coverage)),
+    refusal_accuracy: mean(outOfScope.map((r) => (r.refused ? 1 : 0))),
+    false_refusal_rate: mean(inScope.map((r) => (r.refused ? 1 : 0))),
+    avg_total_ms: mean(
+      results.filter((r) => r.timings).map((r) => r.timings.total_ms)
+    ),
+  };
+}
+
+//
+// REPORT
+//
+const fmt = (v) =>
+  v == null ? "–" : Number.isInteger(v) ? String(v) : v.toFixed(3);
+
+function toMarkdown(report, baseline) {
+  const lines = [
+    `# RAG evaluation – ${report.started_at}`,
+    "",
+    `Dataset: \`${report.dataset}\` · k=${report.config.k} · generate=${report.config.generate}`,
+    "",
+    baseline ? "| Metric | Value | Baseline | Δ |" : "| Metric | Value |",
+    baseline ? "|---|---|---|---|" : "|---|---|",
+  ];
+
+  for (const [name, value] of Object.entries(report.summary)) {
+    if (!baseline) {
+      lines.push(`| ${name} | ${fmt(value)} |`);
+      continue;
+    }
+    const base = baseline.summary[name];
+    const delta = value != null && base != null ? value - base : null;
+    const sign = delta > 0 ? "+" : "";
+    lines.push(
+      `| ${name} | ${fmt(value)} | ${fmt(base)} | ${
+        delta == null ? "–" : sign + fmt(delta)
+      } |`
+    );
+  }
+
+  lines.push(
+    "",
+    "## Questions",
+    "",
+    "| id | recall | RR | coverage | refused | notes |",
+    "|---|---|---|---|---|---|"
+  );
+  for (const r of report.results) {
+    const notes = r.error
+      ? `error: ${r.error}`
+      : [
+          r.out_of_scope && !r.refused ? "should have refused" : "",
+          !r.out_of_scope && r.refused ? "false refusal" : "",
+          r.key_points?.missed.length
+            ? `missed: ${r.key_points.missed.join("; ")}`
+            : "",
+        ]
+          .filter(Boolean)
+          .join(" · ");
+    lines.push(
+      `| ${r.id} | ${fmt(r.retrieval?.recall)} | ${fmt(
+        r.retrieval?.reciprocal_rank
+      )} | ${fmt(r.key_points?.coverage)} | ${
+        r.refused == null ? "–" : r.refused ? "yes" : "no"
+      } | ${notes.replace(/\|/g, "\\|")} |`
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+//
+// RUN
+//
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const dataset = loadDataset(args.dataset);
+  const pipeline = createRagPipeline({ topK: args.k });
+  const startedAt = new Date();
+
+  console.log(
+    `🧪 Evaluating ${dataset.length} questions from ${args.dataset} (k=${args.k})`
+  );
+
+  const results = [];
+  for (const item of dataset) {
+    const result = {
+      id: item.id,
+      question: item.question,
+      out_of_scope: Boolean(item.out_of_scope),
+    };
+    const t0 = Date.now();
+
+    try {
+      const ctx = await pipeline.prepare({
+        message: item.question,
+        history: item.history || [],
+        filter: buildScopeFilter(item),
+      });
+      result.route = ctx.route.type;
+      result.retrieval_query = ctx.retrievalQuery;
+      result.hits = ctx.hits.map((h) => ({
+        source_path: h.payload?.source_path,
+        page_numbers:
+          h.payload?.page_numbers ||
+          (h.payload?.page_number ? [h.payload.page_number] : []),
+        score: h.score,
+      }));
+
+      if (item.expected_sources?.length) {
+        result.retrieval = retrievalMetrics(ctx.hits, item.expected_sources);
+      }
+
+      if (args.generate) {
+        // Checked like the chat routes do, so a refusal by the grounding
+        // check counts as one
+        ctx.answer = await pipeline.generate(ctx);
+        await pipeline.verify(ctx);
+        result.answer = ctx.answer;
+        if (ctx.grounding) {
+          result.grounding = {
+            score: ctx.grounding.score,
+            action: ctx.grounding.action,
+          };
+        }
+        result.refused = isRefusal(result.answer);
+        if (item.key_points?.length) {
+          result.key_points = keyPointCoverage(result.answer, item.key_points);
+        }
+      }
+
+      result.timings = { ...ctx.timings, total_ms: Date.now() - t0 };
+    } catch (err) {
+      result.error = err.message;
+    }
+
+    results.push(result);
+    const r = result;
+    console.log(
+      `  ${r.error ? "❌" : "✅"} ${r.id}  recall=${fmt(
+        r.retrieval?.recall
+      )} rr=${fmt(r.retrieval?.reciprocal_rank)}` +
+        (r.key_points ? ` coverage=${fmt(r.key_points.coverage)}` : "") +
+        (r.refused != null ? ` refused=${r.refused}` : "") +
+        (r.error ? ` ${r.error}` : "")
+    );
+  }
+
+  const report = {
+    dataset: args.dataset,
+    started_at: startedAt.toISOString(),
+    config: {
+      k: args.k,
+      generate: args.generate,
+      llm: describeLLM(),
+      grounding: GROUNDING_MODE,
+      embed_provider: process.env.EMBED_PROVIDER || "hf",
+      rerank_provider: process.env.RERANK_PROVIDER || "none",
+      hybrid_search: process.env.HYBRID_SEARCH || "on",
+    },
+    summary: summarize(results, args.k),
+    results,
+  };
+
+  const baseline = args.baseline
+    ? JSON.parse(fs.readFileSync(args.baseline, "utf8"))
+    : null;
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const stem = path.join(
+    args.out,
+    startedAt.toISOString().replace(/[:.]/g, "-")
+  );
+  fs.writeFileSync(`${stem}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${stem}.md`, toMarkdown(report, baseline));
+
+  console.log(
+    "\n" +
+      toMarkdown({ ...report, results: [] }, baseline).split("## Questions")[0]
+  );
+  console.log(`📝 Wrote ${stem}.json and ${stem}.md`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
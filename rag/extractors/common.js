@@ -0,0 +1,79 @@
+//
+// Helpers shared by the extractors
+//
+
+// SECTION BUILDER, for the heading-aware extractors. Feed it headings and
+// paragraphs in document order; it returns sections for chunkSections():
+//   [{ text, meta: { section_title?, heading_path?, ...location } }]
+// where heading_path is the titles of the enclosing headings, outermost
+// first, and section_title the innermost one. location() adds meta such as
+// { page_number } to the sections that follow; headings carry on across it.
+//
+export function createSectionBuilder() {
+  const sections = [];
+  let path = []; // path[level - 1] = title
+  let paragraphs = [];
+  let where = {};
+
+  function flush() {
+    if (paragraphs.length === 0) return;
+    const headingPath = path.filter(Boolean);
+    sections.push({
+      text: paragraphs.join("\n\n"),
+      meta: {
+        ...where,
+        ...(headingPath.length > 0 && {
+          section_title: headingPath[headingPath.length - 1],
+          heading_path: headingPath,
+        }),
+      },
+    });
+    paragraphs = [];
+  }
+
+  return {
+    location(meta) {
+      flush();
+      where = meta;
+    },
+    heading(level, title) {
+      const text = title.replace(/\s+/g, " ").trim();
+      if (!text) return;
+      flush();
+      path = path.slice(0, level - 1);
+      path[level - 1] = text;
+    },
+    paragraph(text) {
+      if (text && text.trim()) paragraphs.push(text.trim());
+    },
+    finish() {
+      flush();
+      return sections;
+    },
+  };
+}
+
+// XML text content -> plain text
+export function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, "&");
+}
+
+// Office files (DOCX, PPTX) are zip archives of XML parts
+export async function loadZip(buffer, what) {
+  let JSZip;
+  try {
+    JSZip = (await import("jszip")).default;
+  } catch {
+    throw new Error(`${what} extraction needs jszip (npm install jszip)`);
+  }
+  return JSZip.loadAsync(buffer);
+}
@@ -0,0 +1,121 @@
+import fs from "fs";
+import { createSectionBuilder, decodeXmlEntities, loadZip } from "./common.js";
+
+//
+// DOCX (Word)
+//
+// word/document.xml is read directly: paragraphs in body order, Heading
+// styles start sections, numbered / bulleted paragraphs get their list
+// marker back (Word stores numbering separately from the text) and each
+// table row becomes one "cell | cell | cell" line.
+//
+const BODY_BLOCK_RE =
+  /<w:tbl\b[\s\S]*?<\/w:tbl>|<w:p(?:\s[^>]*)?\/>|<w:p(?:\s[^>]*)?>[\s\S]*?<\/w:p>/g;
+
+function attr(xml, tag, name) {
+  const m = xml.match(new RegExp(`<${tag}\\b[^>]*\\s${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+// Text of the runs in one paragraph; tabs and line breaks become spaces
+function paragraphText(xml) {
+  let text = "";
+  const re = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\/>/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    text += m[1] !== undefined ? decodeXmlEntities(m[1]) : " ";
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Heading level from the paragraph style ("Heading2" -> 2, "Title" -> 1)
+function headingLevel(xml) {
+  const style = attr(xml, "w:pStyle", "w:val") || "";
+  if (/^title$/i.test(style)) return 1;
+  const heading = style.match(/^heading\s?(\d)$/i);
+  if (heading) return Number(heading[1]);
+  // Outline level 9 means body text
+  const outline = Number(attr(xml, "w:outlineLvl", "w:val") ?? 9);
+  return outline < 9 ? outline + 1 : 0;
+}
+
+// numId -> level -> number format ("decimal", "bullet", ...)
+function parseNumbering(xml) {
+  const abstract = {};
+  for (const m of xml.matchAll(
+    /<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"[^>]*>([\s\S]*?)<\/w:abstractNum>/g
+  )) {
+    const levels = {};
+    for (const lvl of m[2].matchAll(
+      /<w:lvl\b[^>]*w:ilvl="(\d+)"[^>]*>([\s\S]*?)<\/w:lvl>/g
+    )) {
+      levels[lvl[1]] = attr(lvl[2], "w:numFmt", "w:val") || "decimal";
+    }
+    abstract[m[1]] = levels;
+  }
+
+  const formats = {};
+  for (const m of xml.matchAll(
+    /<w:num\b[^>]*w:numId="(\d+)"[^>]*>([\s\S]*?)<\/w:num>/g
+  )) {
+    formats[m[1]] = abstract[attr(m[2], "w:abstractNumId", "w:val")] || {};
+  }
+  return formats;
+}
+
+export async function docxToSections(buffer) {
+  const zip = await loadZip(buffer, "DOCX");
+  const documentXml = await zip.file("word/document.xml")?.async("string");
+  if (!documentXml)
+    throw new Error("not a Word document (no word/document.xml)");
+  const numberingXml = await zip.file("word/numbering.xml")?.async("string");
+  const numbering = numberingXml ? parseNumbering(numberingXml) : {};
+
+  const builder = createSectionBuilder();
+  const counters = {}; // numId -> per-level counters
+
+  function listMarker(xml) {
+    const numId = attr(xml, "w:numId", "w:val");
+    if (!numId || numId === "0") return "";
+    const level = Number(attr(xml, "w:ilvl", "w:val") || 0);
+    const format = numbering[numId]?.[level] || "decimal";
+    if (format === "bullet") return "- ";
+
+    const levels = (counters[numId] ||= []);
+    levels[level] = (levels[level] || 0) + 1;
+    levels.length = level + 1; // deeper levels restart
+    return `${levels[level]}. `;
+  }
+
+  const body = documentXml.slice(documentXml.indexOf("<w:body"));
+  for (const [block] of body.matchAll(BODY_BLOCK_RE)) {
+    if (block.startsWith("<w:tbl")) {
+      for (const [row] of block.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+        const cells = [...row.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(
+          ([cell]) =>
+            [...cell.matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)]
+              .map(([p]) => paragraphText(p))
+              .filter(Boolean)
+              .join(" ")
+        );
+        builder.paragraph(cells.join(" | "));
+      }
+      continue;
+    }
+
+    const text = paragraphText(block);
+    if (!text) continue;
+    const level = headingLevel(block);
+    if (level > 0) builder.heading(level, text);
+    else builder.paragraph(listMarker(block) + text);
+  }
+
+  return builder.finish();
+}
+
+export default {
+  extensions: [".docx"],
+  async extract(filePath) {
+    return docxToSections(fs.readFileSync(filePath));
+  },
+};
@@ -0,0 +1,130 @@
+import fs from "fs";
+import { createSectionBuilder } from "./common.js";
+
+// Page furniture and non-text content
+const SKIP_TAGS = new Set([
+  "head",
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "nav",
+  "header",
+  "footer",
+]);
+
+// Elements that start and end a paragraph
+const BLOCK_TAGS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "dd",
+  "div",
+  "dl",
+  "dt",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "form",
+  "hr",
+  "main",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "ul",
+]);
+
+async function loadParser() {
+  try {
+    return (await import("node-html-parser")).parse;
+  } catch {
+    throw new Error(
+      "HTML extraction needs node-html-parser (npm install node-html-parser)"
+    );
+  }
+}
+
+// Headings (h1-h6) become sections; list items keep their number or bullet
+// and table rows become "cell | cell | cell" lines
+export async function htmlToSections(html) {
+  const parse = await loadParser();
+  const root = parse(html);
+  const builder = createSectionBuilder();
+  const lists = []; // open <ol>/<ul>: { ordered, n }
+  let current = "";
+
+  const flush = () => {
+    builder.paragraph(current.replace(/\s+/g, " "));
+    current = "";
+  };
+
+  function walk(node) {
+    if (node.nodeType === 3) {
+      current += node.text;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = (node.rawTagName || "").toLowerCase();
+    if (SKIP_TAGS.has(tag)) return;
+
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      flush();
+      builder.heading(Number(heading[1]), node.text);
+      return;
+    }
+
+    if (tag === "br") {
+      current += " ";
+      return;
+    }
+
+    if (tag === "tr") {
+      flush();
+      const cells = node.childNodes
+        .filter((c) =>
+          ["td", "th"].includes((c.rawTagName || "").toLowerCase())
+        )
+        .map((c) => c.text.replace(/\s+/g, " ").trim());
+      builder.paragraph(cells.join(" | "));
+      return;
+    }
+
+    if (tag === "ol" || tag === "ul") {
+      const start = parseInt(node.getAttribute("start") || "1", 10);
+      lists.push({ ordered: tag === "ol", n: start });
+    }
+
+    if (tag === "li") {
+      flush();
+      const list = lists[lists.length - 1];
+      current = list?.ordered ? `${list.n++}. ` : "- ";
+      node.childNodes.forEach(walk);
+      flush();
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(tag);
+    if (block) flush();
+    node.childNodes.forEach(walk);
+    if (block) flush();
+
+    if (tag === "ol" || tag === "ul") lists.pop();
+  }
+
+  walk(root.querySelector("body") || root);
+  flush();
+  return builder.finish();
+}
+
+export default {
+  extensions: [".html", ".htm"],
+  async extract(filePath) {
+    return htmlToSections(fs.readFileSync(filePath, "utf8"));
+  },
+};
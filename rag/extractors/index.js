@@ -0,0 +1,44 @@
+import path from "path";
+import docx from "./docx.js";
+import html from "./html.js";
+import markdown from "./markdown.js";
+import pdf from "./pdf.js";
+import pptx from "./pptx.js";
+import text from "./text.js";
+
+//
+// EXTRACTOR REGISTRY
+//
+// Turns a training document into sections for chunkSections():
+//   [{ text, meta: { page_number?, slide_number?, section_title?,
+//                    heading_path? } }]
+//
+// An extractor is { extensions: [".ext", ...], extract(filePath) ->
+// sections }. Add a file type by writing one and registering it here (or
+// with registerExtractor() before ingesting).
+//
+const extractors = new Map(); // ".ext" -> extractor
+
+export function registerExtractor(extractor) {
+  for (const ext of extractor.extensions) {
+    extractors.set(ext.toLowerCase(), extractor);
+  }
+}
+
+[pdf, text, markdown, html, docx, pptx].forEach(registerExtractor);
+
+export function getExtractor(filePath) {
+  return extractors.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+export function supportedExtensions() {
+  return [...extractors.keys()];
+}
+
+export async function extractSections(filePath) {
+  const extractor = getExtractor(filePath);
+  if (!extractor) {
+    throw new Error(`No extractor for ${path.extname(filePath) || filePath}`);
+  }
+  return extractor.extract(filePath);
+}
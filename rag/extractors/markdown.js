@@ -0,0 +1,102 @@
+import fs from "fs";
+import { createSectionBuilder } from "./common.js";
+
+const LIST_ITEM_RE = /^\s*([-*+]|\d+[.)])\s+/;
+const RULE_RE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+// Inline markdown -> plain text (links and images keep their label)
+function stripInline(text) {
+  return (
+    text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/<\/?[a-z][^>]*>/gi, "")
+      .replace(/\*\*(.+?)\*\*/g, "$1")
+      .replace(/\*(\S.*?)\*/g, "$1")
+      // _emphasis_ only at word edges, so codes like LOTO_STEP_3 survive
+      .replace(/(^|\W)__?(\S.*?)__?(?=\W|$)/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1")
+  );
+}
+
+// Headings become sections; list markers are kept so numbered steps stay
+// recognizable. Fenced code is kept verbatim.
+export function markdownToSections(markdown) {
+  const builder = createSectionBuilder();
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  let para = [];
+  let listItem = false;
+  let fence = null;
+
+  const endParagraph = () => {
+    builder.paragraph(para.join(listItem ? " " : "\n"));
+    para = [];
+    listItem = false;
+  };
+
+  // YAML front matter
+  let i = 0;
+  if (lines[0] === "---") {
+    const end = lines.indexOf("---", 1);
+    if (end > 0) i = end + 1;
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (fence) {
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+        endParagraph();
+      } else {
+        para.push(line);
+      }
+      continue;
+    }
+
+    const fenceOpen = line.match(/^\s*(```|~~~)/);
+    if (fenceOpen) {
+      endParagraph();
+      fence = fenceOpen[1];
+      continue;
+    }
+
+    const atx = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      endParagraph();
+      builder.heading(atx[1].length, stripInline(atx[2]));
+      continue;
+    }
+
+    // Setext: a text line underlined with === (h1) or --- (h2)
+    const next = lines[i + 1];
+    if (para.length === 0 && line.trim() && /^(=+|-+)\s*$/.test(next || "")) {
+      builder.heading(next.trim()[0] === "=" ? 1 : 2, stripInline(line));
+      i++;
+      continue;
+    }
+
+    if (!line.trim() || RULE_RE.test(line)) {
+      endParagraph();
+      continue;
+    }
+
+    // Each list item is its own paragraph so steps don't run together; the
+    // lines that follow it without a marker are its wrapped text
+    if (LIST_ITEM_RE.test(line)) {
+      endParagraph();
+      listItem = true;
+    }
+    para.push(stripInline(line.trim()));
+  }
+
+  endParagraph();
+  return builder.finish();
+}
+
+export default {
+  extensions: [".md", ".markdown"],
+  async extract(filePath) {
+    return markdownToSections(fs.readFileSync(filePath, "utf8"));
+  },
+};
@@ -0,0 +1,267 @@
+import fs from "fs";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createSectionBuilder } from "./common.js";
+
+//
+// PDF
+//
+// pdf.js returns positioned text runs, not paragraphs. Runs are grouped into
+// lines by baseline and split where a wide gap separates two columns;
+// two-column pages are read column by column. Lines set clearly larger than
+// the body text are headings (the largest size is level 1). Running headers,
+// footers and page numbers are dropped. Sections carry page_number plus
+// section_title / heading_path.
+//
+
+// Header / footer band at the top and bottom, as a fraction of page height
+const MARGIN_BAND = 0.12;
+// Share of pages a header / footer line has to repeat on to be dropped
+const REPEAT_SHARE = 0.5;
+// A heading is set at least this much larger than the body text
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_CHARS = 120;
+// Gaps wider than this many font sizes separate columns, not words
+const COLUMN_GAP = 1.5;
+// Lines further apart than this many font sizes start a new paragraph
+const PARAGRAPH_GAP = 1.8;
+const MIN_COLUMN_LINES = 3;
+
+const PAGE_NUMBER_RE = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+const LIST_ITEM_RE = /^(\d+(\.\d+)*[.)]|[a-z][.)]|step\s+\d+|[-•▪◦●‣∙·*])\s/i;
+const BULLET_RE = /^[•▪◦●‣∙·]\s*/;
+
+const roundSize = (size) => Math.round(size * 2) / 2;
+
+// Text runs -> line fragments { text, x0, x1, y, size }, top to bottom
+function toFragments(items) {
+  const runs = items
+    .filter((it) => it.str && it.str.trim())
+    .map((it) => ({
+      str: it.str,
+      x: it.transform[4],
+      y: it.transform[5],
+      width: it.width,
+      size: Math.hypot(it.transform[2], it.transform[3]) || it.height || 1,
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  // Runs on (nearly) the same baseline form a line
+  const lines = [];
+  for (const run of runs) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) <= run.size * 0.4) line.runs.push(run);
+    else lines.push({ y: run.y, runs: [run] });
+  }
+
+  const fragments = [];
+  for (const line of lines) {
+    line.runs.sort((a, b) => a.x - b.x);
+    let frag = null;
+    for (const run of line.runs) {
+      const gap = frag ? run.x - frag.x1 : 0;
+      if (!frag || gap > run.size * COLUMN_GAP) {
+        frag = { text: "", x0: run.x, x1: run.x, y: line.y, size: 0, chars: 0 };
+        fragments.push(frag);
+      } else if (gap > run.size * 0.15 && !/\s$/.test(frag.text)) {
+        frag.text += " ";
+      }
+      frag.text += run.str;
+      frag.x1 = Math.max(frag.x1, run.x + run.width);
+      // The font size of a fragment is that of its longest run
+      if (run.str.length > frag.chars) {
+        frag.size = run.size;
+        frag.chars = run.str.length;
+      }
+    }
+  }
+
+  return fragments
+    .map(({ chars, ...f }) => ({
+      ...f,
+      text: f.text.replace(/\s+/g, " ").trim(),
+    }))
+    .filter((f) => f.text);
+}
+
+// x of a vertical gutter that splits the page into two columns, or null
+function findGutter(fragments) {
+  const starts = [...new Set(fragments.map((f) => f.x0))].sort((a, b) => a - b);
+  for (const x of starts.slice(1)) {
+    const left = fragments.filter((f) => f.x1 <= x).length;
+    const right = fragments.filter((f) => f.x0 >= x).length;
+    const crossing = fragments.length - left - right;
+    if (
+      left >= MIN_COLUMN_LINES &&
+      right >= MIN_COLUMN_LINES &&
+      crossing <= fragments.length * 0.2
+    ) {
+      return x;
+    }
+  }
+  return null;
+}
+
+// Reading order: full-width lines above the columns, the left column, the
+// right column, then any full-width lines below
+function readingOrder(fragments) {
+  const gutter = findGutter(fragments);
+  if (gutter == null) return fragments;
+
+  const left = fragments.filter((f) => f.x1 <= gutter);
+  const right = fragments.filter((f) => f.x0 >= gutter);
+  const columnsTop = Math.max(...[...left, ...right].map((f) => f.y));
+  const spanning = fragments.filter((f) => f.x0 < gutter && f.x1 > gutter);
+
+  return [
+    ...spanning.filter((f) => f.y > columnsTop),
+    ...left,
+    ...right,
+    ...spanning.filter((f) => f.y <= columnsTop),
+  ];
+}
+
+// Key under which a header / footer line repeats ("Page 3" ~ "Page 4")
+const repeatKey = (text) => text.toLowerCase().replace(/\d+/g, "#");
+
+function dropPageFurniture(pages) {
+  const inBand = (f, page) =>
+    f.y > page.height * (1 - MARGIN_BAND) || f.y < page.height * MARGIN_BAND;
+
+  const pageCounts = new Map();
+  for (const page of pages) {
+    const keys = new Set(
+      page.fragments
+        .filter((f) => inBand(f, page))
+        .map((f) => repeatKey(f.text))
+    );
+    for (const key of keys) pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+  }
+  const minRepeats = Math.max(2, Math.ceil(pages.length * REPEAT_SHARE));
+
+  for (const page of pages) {
+    page.fragments = page.fragments.filter(
+      (f) =>
+        !inBand(f, page) ||
+        !(
+          PAGE_NUMBER_RE.test(f.text) ||
+          pageCounts.get(repeatKey(f.text)) >= minRepeats
+        )
+    );
+  }
+}
+
+// Body size is the size most of the text is set in; larger sizes that
+// appear on short lines are heading levels, largest first
+function fontLevels(pages) {
+  const charsBySize = new Map();
+  for (const f of pages.flatMap((p) => p.fragments)) {
+    const size = roundSize(f.size);
+    charsBySize.set(size, (charsBySize.get(size) || 0) + f.text.length);
+  }
+  const bodySize = [...charsBySize].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const isHeading = (f) =>
+    roundSize(f.size) >= bodySize * HEADING_SIZE_RATIO &&
+    f.text.length <= MAX_HEADING_CHARS &&
+    /\p{L}/u.test(f.text);
+
+  const headingSizes = [
+    ...new Set(
+      pages
+        .flatMap((p) => p.fragments)
+        .filter(isHeading)
+        .map((f) => roundSize(f.size))
+    ),
+  ].sort((a, b) => b - a);
+
+  return (f) =>
+    isHeading(f) ? Math.min(headingSizes.indexOf(roundSize(f.size)) + 1, 6) : 0;
+}
+
+export async function pdfToSections(data) {
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+
+  const pages = [];
+  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+    const page = await pdf.getPage(pageNum);
+    const { items } = await page.getTextContent();
+    pages.push({
+      pageNum,
+      height: page.getViewport({ scale: 1 }).height,
+      fragments: toFragments(items),
+    });
+  }
+
+  dropPageFurniture(pages);
+  const headingLevel = fontLevels(pages);
+  const builder = createSectionBuilder();
+
+  for (const page of pages) {
+    builder.location({ page_number: page.pageNum });
+    let heading = null; // { level, text, y } until the next non-heading
+    let para = null; // { text, y }
+
+    const endHeading = () => {
+      if (heading) builder.heading(heading.level, heading.text);
+      heading = null;
+    };
+    const endParagraph = () => {
+      if (para) builder.paragraph(para.text);
+      para = null;
+    };
+
+    for (const f of readingOrder(page.fragments)) {
+      const level = headingLevel(f);
+      const gap = (prev) => prev.y - f.y;
+
+      if (level > 0) {
+        endParagraph();
+        // A heading wrapped over several lines
+        if (
+          heading?.level === level &&
+          gap(heading) > 0 &&
+          gap(heading) <= f.size * PARAGRAPH_GAP
+        ) {
+          heading.text += ` ${f.text}`;
+          heading.y = f.y;
+          continue;
+        }
+        endHeading();
+        heading = { level, text: f.text, y: f.y };
+        continue;
+      }
+
+      endHeading();
+      const text = f.text.replace(BULLET_RE, "- ");
+      const continues =
+        para &&
+        gap(para) > 0 &&
+        gap(para) <= f.size * PARAGRAPH_GAP &&
+        !LIST_ITEM_RE.test(text);
+
+      if (!continues) {
+        endParagraph();
+        para = { text, y: f.y };
+        continue;
+      }
+      // Re-join words hyphenated at the line end
+      para.text =
+        /\p{Ll}-$/u.test(para.text) && /^\p{Ll}/u.test(text)
+          ? para.text.slice(0, -1) + text
+          : `${para.text} ${text}`;
+      para.y = f.y;
+    }
+
+    endHeading();
+    endParagraph();
+  }
+
+  return builder.finish();
+}
+
+export default {
+  extensions: [".pdf"],
+  async extract(filePath) {
+    return pdfToSections(new Uint8Array(fs.readFileSync(filePath)));
+  },
+};
@@ -0,0 +1,153 @@
+import fs from "fs";
+import path from "path";
+import { decodeXmlEntities, loadZip } from "./common.js";
+
+//
+// PPTX (PowerPoint)
+//
+// One section per visible slide, in presentation order, with the slide
+// title as section_title and slide_number in the meta. Text boxes and
+// tables are read in the order they appear on the slide; speaker notes are
+// appended after the slide text.
+//
+const SHAPE_OR_TABLE_RE =
+  /<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>|<a:tbl>[\s\S]*?<\/a:tbl>/g;
+
+// Placeholders on notes pages that are not the notes themselves
+const NOTES_SKIP = new Set(["sldImg", "sldNum", "hdr", "ftr", "dt"]);
+
+function attr(xml, name) {
+  const m = xml.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+// { rId: target path inside the zip }
+function parseRels(xml, baseDir) {
+  const rels = {};
+  for (const [, attrs] of xml.matchAll(/<Relationship\b([^>]*)>/g)) {
+    rels[attr(attrs, "Id")] = path.posix.join(baseDir, attr(attrs, "Target"));
+  }
+  return rels;
+}
+
+function relsPathFor(partPath) {
+  return path.posix.join(
+    path.posix.dirname(partPath),
+    "_rels",
+    `${path.posix.basename(partPath)}.rels`
+  );
+}
+
+function paragraphText(xml) {
+  let text = "";
+  for (const m of xml.matchAll(/<a:t>([^<]*)<\/a:t>|<a:br\/>/g)) {
+    text += m[1] !== undefined ? decodeXmlEntities(m[1]) : " ";
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Paragraphs of a text shape; auto-numbered ones get their number back
+function shapeParagraphs(xml) {
+  const out = [];
+  let n = 0;
+  for (const [p] of xml.matchAll(/<a:p\b[\s\S]*?<\/a:p>/g)) {
+    const text = paragraphText(p);
+    if (!text) continue;
+    out.push(p.includes("<a:buAutoNum") ? `${++n}. ${text}` : text);
+  }
+  return out;
+}
+
+function tableRows(xml) {
+  return [...xml.matchAll(/<a:tr\b[\s\S]*?<\/a:tr>/g)].map(([row]) =>
+    [...row.matchAll(/<a:tc\b[\s\S]*?<\/a:tc>/g)]
+      .map(([cell]) => shapeParagraphs(cell).join(" "))
+      .join(" | ")
+  );
+}
+
+// -> { title, paragraphs } for a slide or notes page
+function readSlide(xml, skipPlaceholders = new Set()) {
+  let title = null;
+  const paragraphs = [];
+
+  for (const [block] of xml.matchAll(SHAPE_OR_TABLE_RE)) {
+    if (block.startsWith("<a:tbl>")) {
+      paragraphs.push(...tableRows(block));
+      continue;
+    }
+
+    const placeholder = block.match(/<p:ph\b([^>]*)>/);
+    const type = placeholder ? attr(placeholder[1], "type") : null;
+    if (skipPlaceholders.has(type)) continue;
+
+    const lines = shapeParagraphs(block);
+    if ((type === "title" || type === "ctrTitle") && lines.length > 0) {
+      title ??= lines.join(" ");
+    }
+    paragraphs.push(...lines);
+  }
+
+  return { title, paragraphs };
+}
+
+export async function pptxToSections(buffer) {
+  const zip = await loadZip(buffer, "PPTX");
+  const read = (name) => zip.file(name)?.async("string");
+
+  const presentation = await read("ppt/presentation.xml");
+  if (!presentation) {
+    throw new Error("not a PowerPoint file (no ppt/presentation.xml)");
+  }
+  const presentationRelsXml = await read(relsPathFor("ppt/presentation.xml"));
+  if (!presentationRelsXml) {
+    throw new Error(
+      "not a PowerPoint file (no ppt/_rels/presentation.xml.rels)"
+    );
+  }
+  const presentationRels = parseRels(presentationRelsXml, "ppt");
+
+  const slideIds = [...presentation.matchAll(/<p:sldId\b([^>]*)>/g)].map(
+    ([, attrs]) => attr(attrs, "r:id")
+  );
+
+  const sections = [];
+  for (const [i, rId] of slideIds.entries()) {
+    const slidePath = presentationRels[rId];
+    const slideXml = slidePath && (await read(slidePath));
+    if (!slideXml) continue;
+    if (/<p:sld\b[^>]*\sshow="0"/.test(slideXml)) continue; // hidden
+
+    const { title, paragraphs } = readSlide(slideXml);
+
+    const relsXml = await read(relsPathFor(slidePath));
+    const rels = relsXml
+      ? parseRels(relsXml, path.posix.dirname(slidePath))
+      : {};
+    const notesPath = Object.values(rels).find((p) =>
+      p.includes("notesSlides/")
+    );
+    const notesXml = notesPath && (await read(notesPath));
+    const notes = notesXml ? readSlide(notesXml, NOTES_SKIP).paragraphs : [];
+
+    const text = [
+      ...paragraphs,
+      ...(notes.length > 0 ? [`Speaker notes: ${notes.join(" ")}`] : []),
+    ].join("\n\n");
+    if (!text) continue;
+
+    sections.push({
+      text,
+      meta: { slide_number: i + 1, ...(title && { section_title: title }) },
+    });
+  }
+
+  return sections;
+}
+
+export default {
+  extensions: [".pptx"],
+  async extract(filePath) {
+    return pptxToSections(fs.readFileSync(filePath));
+  },
+};
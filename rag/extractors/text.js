@@ -0,0 +1,9 @@
+import fs from "fs";
+
+// Plain text: one section, the chunker finds the paragraphs
+export default {
+  extensions: [".txt"],
+  async extract(filePath) {
+    return [{ text: fs.readFileSync(filePath, "utf8") }];
+  },
+};
@@ -0,0 +1,39 @@
+//
+// RECIPROCAL RANK FUSION
+//
+// Merges ranked hit lists from different retrievers (dense, keyword) whose
+// raw scores are not comparable. Each hit scores
+//   sum over lists of weight / (k + rank)      (rank is 1-based)
+// and keeps the raw per-retriever scores so the UI can show where it came
+// from.
+//
+// lists: [{ name, weight, hits: [{ id, score, payload }] }]
+// returns hits sorted by fused score, with
+//   score  - fused score
+//   scores - { fused, [name]: raw score } for every list the hit appeared in
+//   ranks  - { [name]: rank }
+//
+export function fuseRRF(lists, { k = 60, limit = Infinity } = {}) {
+  const byId = new Map();
+
+  for (const { name, weight = 1, hits } of lists) {
+    hits.forEach((hit, i) => {
+      const rank = i + 1;
+      let entry = byId.get(hit.id);
+      if (!entry) {
+        entry = { ...hit, score: 0, scores: {}, ranks: {} };
+        byId.set(hit.id, entry);
+      }
+      // Keep whichever copy actually has a payload
+      if (!entry.payload && hit.payload) entry.payload = hit.payload;
+      entry.score += weight / (k + rank);
+      entry.scores[name] = hit.score;
+      entry.ranks[name] = rank;
+    });
+  }
+
+  return [...byId.values()]
+    .map((e) => ({ ...e, scores: { ...e.scores, fused: e.score } }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,216 @@
+import "dotenv/config";
+import { normalizeText, simplifyText, splitSentences } from "./chunker.js";
+import { cosineSimilarity, embedBatch } from "./embeddings.js";
+import { generate } from "./llm.js";
+import { createSentenceSplitter } from "./sentences.js";
+
+//
+// GROUNDING
+//
+// Checks a generated answer against the chunks it was generated from. The
+// answer is split into sentences ("claims"), each claim is matched against
+// the passages, and the grounding score is the share of claims that are
+// supported. Pick how with GROUNDING_METHOD:
+//   embedding - cosine similarity between the claim and every passage
+//               sentence, with the configured embedder (default)
+//   llm       - one NLI-style prompt that names the supporting passage for
+//               each claim (the "verify" LLM purpose)
+//
+// What happens to a weakly grounded answer is GROUNDING_MODE:
+//   flag   - keep the answer, mark it low confidence (default)
+//   refuse - replace it with the refusal
+//   off    - no check
+//
+// Greetings, questions back to the learner, very short sentences and the
+// refusal itself are not claims and are left unchecked.
+//
+// grounding: { method, score, low_confidence, action: "none" | "flagged" |
+//              "refused", sentences: [{ text, supported, chunk_id,
+//              similarity? }] }
+//   score is null when nothing was checked; supported is null for
+//   unchecked sentences; chunk_id is the supporting hit (null for the
+//   pinned walkthrough step).
+//
+export const GROUNDING_MODE = (
+  process.env.GROUNDING_MODE || "flag"
+).toLowerCase();
+const GROUNDING_METHOD = (
+  process.env.GROUNDING_METHOD || "embedding"
+).toLowerCase();
+// Answers with a lower share of supported claims are low confidence
+const GROUNDING_THRESHOLD = parseFloat(
+  process.env.GROUNDING_THRESHOLD || "0.5"
+);
+// Claim-to-sentence similarity that counts as support (embedding method)
+const GROUNDING_MIN_SIMILARITY = parseFloat(
+  process.env.GROUNDING_MIN_SIMILARITY || "0.55"
+);
+
+const MIN_CLAIM_WORDS = 5;
+const MAX_EVIDENCE_SENTENCES = 150;
+const MAX_PASSAGE_CHARS = 1200;
+
+// The answer's sentences, each marked whether it is a claim to check
+function answerSentences(answer, refusal) {
+  const sentences = [];
+  const splitter = createSentenceSplitter(({ text }) => sentences.push(text));
+  splitter.push(answer);
+  splitter.flush();
+
+  const refused = simplifyText(refusal);
+  return sentences.map((text) => {
+    const plain = simplifyText(text);
+    const isClaim =
+      plain.split(" ").length >= MIN_CLAIM_WORDS &&
+      !/\?\s*$/.test(text) &&
+      !plain.includes(refused);
+    return { text, isClaim };
+  });
+}
+
+// [{ id, text }] the answer may draw on: hit excerpts, then pinned context
+function passagesOf(hits, pinned) {
+  return [
+    ...hits.map((h) => ({
+      id: h.id,
+      text: h.excerpt ?? h.payload?.content ?? "",
+    })),
+    ...(pinned ? [{ id: null, text: pinned }] : []),
+  ].filter((p) => p.text.trim());
+}
+
+//
+// Embedding similarity
+//
+async function supportByEmbedding(claims, passages) {
+  const evidence = passages
+    .flatMap((p) => {
+      const text = normalizeText(p.text);
+      return splitSentences(text).map((s) => ({
+        id: p.id,
+        text: text.slice(s.start, s.end),
+      }));
+    })
+    .slice(0, MAX_EVIDENCE_SENTENCES);
+  if (evidence.length === 0) {
+    return claims.map(() => ({ supported: false, chunk_id: null }));
+  }
+
+  const vectors = await embedBatch([...claims, ...evidence.map((e) => e.text)]);
+  const evidenceVectors = vectors.slice(claims.length);
+
+  return claims.map((_, i) => {
+    let best = -1;
+    let bestSim = -1;
+    evidenceVectors.forEach((v, j) => {
+      const sim = cosineSimilarity(vectors[i], v);
+      if (sim > bestSim) {
+        best = j;
+        bestSim = sim;
+      }
+    });
+    const similarity = Math.round(bestSim * 1000) / 1000;
+    const supported = similarity >= GROUNDING_MIN_SIMILARITY;
+    return {
+      supported,
+      chunk_id: supported ? evidence[best].id : null,
+      similarity,
+    };
+  });
+}
+
+//
+// NLI-style prompt
+//
+async function supportByLlm(claims, passages, { signal }) {
+  if (passages.length === 0) {
+    return claims.map(() => ({ supported: false, chunk_id: null }));
+  }
+
+  const prompt = `
+Check each CLAIM against the numbered PASSAGES.
+For each claim, give the number of a passage that states it or directly implies it, or 0 if no passage does. A claim that adds facts not in the passage is not supported.
+Return JSON only: {"support": [<one passage number or 0 per claim, in order>]}
+
+PASSAGES:
+${passages
+  .map(
+    (p, i) =>
+      `[${i + 1}] ${p.text.replace(/\s+/g, " ").slice(0, MAX_PASSAGE_CHARS)}`
+  )
+  .join("\n\n")}
+
+CLAIMS:
+${claims.map((c, i) => `${i + 1}. ${c}`).join("\n")}
+`.trim();
+
+  const reply = await generate({
+    purpose: "verify",
+    prompt,
+    json: true,
+    signal,
+  });
+  let support = [];
+  try {
+    support = JSON.parse(reply).support || [];
+  } catch {
+    console.warn(
+      "Grounding: unparseable LLM response, treating as unsupported"
+    );
+  }
+
+  return claims.map((_, i) => {
+    const n = Number(support[i]);
+    const passage = Number.isInteger(n) && n >= 1 ? passages[n - 1] : null;
+    return { supported: Boolean(passage), chunk_id: passage?.id ?? null };
+  });
+}
+
+const METHODS = { embedding: supportByEmbedding, llm: supportByLlm };
+
+// { answer, hits, pinned?, refusal, signal? } -> grounding, or null when
+// GROUNDING_MODE is off. The action is decided here; replacing a refused
+// answer is up to the caller.
+export async function verifyAnswer({ answer, hits, pinned, refusal, signal }) {
+  if (GROUNDING_MODE === "off") return null;
+  if (GROUNDING_MODE !== "flag" && GROUNDING_MODE !== "refuse") {
+    throw new Error(
+      `Unknown GROUNDING_MODE "${GROUNDING_MODE}" (expected flag, refuse, off)`
+    );
+  }
+  const check = METHODS[GROUNDING_METHOD];
+  if (!check) {
+    throw new Error(
+      `Unknown GROUNDING_METHOD "${GROUNDING_METHOD}" (expected ${Object.keys(
+        METHODS
+      ).join(", ")})`
+    );
+  }
+
+  const sentences = answerSentences(answer, refusal);
+  const claims = sentences.filter((s) => s.isClaim).map((s) => s.text);
+  const results =
+    claims.length > 0
+      ? await check(claims, passagesOf(hits, pinned), { signal })
+      : [];
+
+  let next = 0;
+  const checked = sentences.map(({ text, isClaim }) =>
+    isClaim
+      ? { text, ...results[next++] }
+      : { text, supported: null, chunk_id: null }
+  );
+
+  const score =
+    claims.length > 0
+      ? results.filter((r) => r.supported).length / claims.length
+      : null;
+  const low = score != null && score < GROUNDING_THRESHOLD;
+  return {
+    method: GROUNDING_METHOD,
+    score,
+    low_confidence: low,
+    action: !low ? "none" : GROUNDING_MODE === "refuse" ? "refused" : "flagged",
+    sentences: checked,
+  };
+}
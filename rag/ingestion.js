@@ -0,0 +1,379 @@
+import "dotenv/config";
+import axios from "axios";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { chunkSections } from "./chunker.js";
+import { extractSections, supportedExtensions } from "./extractors/index.js";
+import { EMBED_DIMS, embedBatch, getEmbedder } from "./embeddings.js";
+import { documentSparseVector, SPARSE_VECTOR_NAME } from "./bm25.js";
+import { QDRANT_COLLECTION, QDRANT_URL } from "./qdrant.js";
+import {
+  detectProcedures,
+  removeDocumentProcedures,
+  saveDocumentProcedures,
+} from "./procedures.js";
+
+//
+// INGESTION
+//
+// Everything that turns files under data/ into Qdrant points, shared by the
+// `node ingest.js` CLI and the document management API in server.js.
+//
+
+//
+// ENVIRONMENT
+//
+const EMBED_BATCH_SIZE = parseInt(process.env.EMBED_BATCH_SIZE || "32", 10);
+
+export const DATA_DIR = path.join(process.cwd(), "data");
+
+const MANIFEST_PATH =
+  process.env.INGEST_MANIFEST ||
+  path.join(process.cwd(), ".ingest-manifest.json");
+
+export const SUPPORTED_EXTENSIONS = supportedExtensions();
+
+// Set by ensureCollection(): older collections were created without the
+// BM25 sparse vector and only get dense vectors
+let sparseEnabled = true;
+
+//
+// QDRANT
+//
+export async function ensureCollection() {
+  const res = await axios.get(`${QDRANT_URL}/collections`);
+  const collections = res.data.result.collections.map((c) => c.name);
+
+  if (!collections.includes(QDRANT_COLLECTION)) {
+    console.log(`Creating collection ${QDRANT_COLLECTION}...`);
+    await axios.put(`${QDRANT_URL}/collections/${QDRANT_COLLECTION}`, {
+      vectors: { size: EMBED_DIMS, distance: "Cosine" },
+      sparse_vectors: { [SPARSE_VECTOR_NAME]: { modifier: "idf" } },
+    });
+    console.log("Created.");
+  } else {
+    console.log(`Collection '${QDRANT_COLLECTION}' exists.`);
+
+    const info = await axios.get(
+      `${QDRANT_URL}/collections/${QDRANT_COLLECTION}`
+    );
+    const params = info.data.result.config.params;
+    const size = params.vectors?.size;
+    if (size !== EMBED_DIMS) {
+      throw new Error(
+        `Collection '${QDRANT_COLLECTION}' has vector size ${size}, but EMBED_DIMS=${EMBED_DIMS}. ` +
+          `Use a different QDRANT_COLLECTION or recreate it.`
+      );
+    }
+
+    sparseEnabled = Boolean(params.sparse_vectors?.[SPARSE_VECTOR_NAME]);
+    if (!sparseEnabled) {
+      console.warn(
+        `⚠️  Collection '${QDRANT_COLLECTION}' has no '${SPARSE_VECTOR_NAME}' sparse vector; ` +
+          `keyword search is disabled until it is recreated.`
+      );
+    }
+  }
+}
+
+// Keyword indexes for the fields chat requests filter on (and source_path,
+// which re-ingestion deletes by). Creating an existing index is a no-op.
+const INDEXED_FIELDS = ["course_id", "module_id", "doc_id", "source_path"];
+
+export async function ensurePayloadIndexes() {
+  for (const field of INDEXED_FIELDS) {
+    await axios.put(
+      `${QDRANT_URL}/collections/${QDRANT_COLLECTION}/index?wait=true`,
+      { field_name: field, field_schema: "keyword" }
+    );
+  }
+}
+
+// Embed a probe string so a provider/model that does not match EMBED_DIMS
+// fails before anything is written to Qdrant
+export async function checkEmbeddingDims() {
+  const embedder = await getEmbedder();
+  const [probe] = await embedder.embedBatch(["dimension check"]);
+  if (probe?.length !== EMBED_DIMS) {
+    throw new Error(
+      `Embedder ${embedder.name}:${embedder.model} produced ${probe?.length}-dim vectors, ` +
+        `but EMBED_DIMS=${EMBED_DIMS}.`
+    );
+  }
+  console.log(
+    `Embedder: ${embedder.name}:${embedder.model} (${EMBED_DIMS} dims)`
+  );
+}
+
+export function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Deterministic point id: re-ingesting an unchanged chunk overwrites itself
+// instead of adding a duplicate. Qdrant only accepts UUIDs or integers, so the
+// hash is formatted as a UUID.
+function pointId(sourcePath, chunkIndex, contentHash) {
+  const h = sha256(`${sourcePath}\n${chunkIndex}\n${contentHash}`);
+  return [
+    h.slice(0, 8),
+    h.slice(8, 12),
+    h.slice(12, 16),
+    h.slice(16, 20),
+    h.slice(20, 32),
+  ].join("-");
+}
+
+async function upsert(chunks, vectors, meta, chunkMeta = []) {
+  const points = chunks.map((chunk, i) => {
+    const payload = { ...meta, ...(chunkMeta[i] || {}), content: chunk };
+    const contentHash = sha256(chunk);
+    return {
+      id: pointId(meta.source_path, payload.chunk_index ?? i, contentHash),
+      vector: sparseEnabled
+        ? {
+            "": vectors[i],
+            [SPARSE_VECTOR_NAME]: documentSparseVector(chunk),
+          }
+        : vectors[i],
+      payload: { ...payload, content_hash: contentHash },
+    };
+  });
+
+  await axios.put(
+    `${QDRANT_URL}/collections/${QDRANT_COLLECTION}/points?wait=true`,
+    { points },
+    { headers: { "Content-Type": "application/json" } }
+  );
+
+  return points.map((p) => p.id);
+}
+
+// Delete every point of a document, except `keepIds` (the ones just upserted)
+export async function deleteDocPoints(sourcePath, keepIds = []) {
+  const filter = {
+    must: [{ key: "source_path", match: { value: sourcePath } }],
+  };
+  if (keepIds.length > 0) filter.must_not = [{ has_id: keepIds }];
+
+  await axios.post(
+    `${QDRANT_URL}/collections/${QDRANT_COLLECTION}/points/delete?wait=true`,
+    { filter },
+    { headers: { "Content-Type": "application/json" } }
+  );
+}
+
+//
+// MANIFEST
+//
+// Records what was ingested: { version, files: { [source_path]: { hash,
+// chunks, ingested_at } } }. Only touched after Qdrant confirms a write, so
+// an interrupted run is picked up again on the next one.
+//
+export function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) return { version: 1, files: {} };
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8"));
+}
+
+export function saveManifest(manifest) {
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+}
+
+// source_path as stored in the payload: <course>/<module>/<file> under data/
+export function sourcePathFor(filePath) {
+  return path.relative(DATA_DIR, filePath).split(path.sep).join("/");
+}
+
+export function filePathFor(sourcePath) {
+  return path.join(DATA_DIR, ...sourcePath.split("/"));
+}
+
+//
+// MAIN INGEST FILE FUNCTION
+//
+// Returns the number of chunks now stored for the file. onProgress is called
+// as the file moves through the stages:
+//   { stage: "extracting" }
+//   { stage: "embedding", done, total }   (chunks embedded so far)
+//   { stage: "writing" }
+// Numbered procedures found in the file are stored alongside (procedures.js).
+export async function ingestFile(filePath, { onProgress = () => {} } = {}) {
+  console.log(`📄 Ingesting ${filePath}`);
+  onProgress({ stage: "extracting" });
+
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    console.warn(`Skipping unsupported file type: ${filePath}`);
+    return 0;
+  }
+
+  // [{ text, meta: { chunk_index, char_start, char_end, page_number?,
+  //   slide_number?, section_title?, heading_path? } }]
+  const sections = await extractSections(filePath);
+  const pieces = chunkSections(sections);
+
+  const chunks = pieces.map((p) => p.text);
+  const chunkMeta = pieces.map((p) => p.meta); // per-chunk metadata
+
+  if (chunks.length === 0) {
+    console.warn(`No text extracted from ${filePath}, skipping.`);
+    await deleteDocPoints(sourcePathFor(filePath));
+    removeDocumentProcedures(sourcePathFor(filePath));
+    return 0;
+  }
+
+  // Embeddings (batched; a long manual can produce hundreds of chunks)
+  const vectors = [];
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    onProgress({ stage: "embedding", done: i, total: chunks.length });
+    vectors.push(...(await embedBatch(chunks.slice(i, i + EMBED_BATCH_SIZE))));
+  }
+
+  console.log(`Chunks: ${chunks.length}`);
+  if (vectors.some((v) => v.length !== EMBED_DIMS)) {
+    throw new Error(
+      `Embedding length ${
+        vectors.find((v) => v.length !== EMBED_DIMS).length
+      }, expected: ${EMBED_DIMS}`
+    );
+  }
+
+  // Metadata inferred from data/<course>/<module>/<file>
+  const relParts = sourcePathFor(filePath).split("/");
+  const meta = {
+    doc_id: path.basename(filePath, ext),
+    course_id: relParts[0] || "general",
+    module_id: relParts[1] || "intro",
+    file_type: ext.slice(1), // "pdf", "docx", "md", ...
+    source_path: sourcePathFor(filePath),
+  };
+
+  // Upsert into Qdrant (upsert must merge chunkMeta[i] into payload), then
+  // drop whatever an earlier version of this file left behind
+  onProgress({ stage: "writing" });
+  const ids = await upsert(chunks, vectors, meta, chunkMeta);
+  await deleteDocPoints(meta.source_path, ids);
+
+  const procedures = detectProcedures(sections);
+  saveDocumentProcedures(meta, procedures);
+  if (procedures.length > 0) {
+    console.log(`Procedures: ${procedures.map((p) => p.title).join(", ")}`);
+  }
+
+  console.log(`✅ Ingested ${chunks.length} chunks\n`);
+  return chunks.length;
+}
+
+//
+// RECURSIVE FIND
+//
+export function findDocs(dir = DATA_DIR) {
+  let out = [];
+  for (const f of fs.readdirSync(dir)) {
+    const full = path.join(dir, f);
+    const stat = fs.statSync(full);
+    if (stat.isDirectory()) {
+      out = out.concat(findDocs(full));
+    } else if (stat.isFile()) {
+      const ext = path.extname(full).toLowerCase();
+      if (SUPPORTED_EXTENSIONS.includes(ext)) {
+        out.push(full);
+      }
+    }
+  }
+  return out;
+}
+
+//
+// DOCUMENTS
+//
+// One document at a time, keeping the manifest in step; used by the
+// document management API. The CLI works on the whole data/ folder instead.
+//
+
+// Checks the embedder and collection once per process
+let collectionReady = null;
+
+export function prepareCollection() {
+  if (!collectionReady) {
+    collectionReady = (async () => {
+      await checkEmbeddingDims();
+      await ensureCollection();
+      await ensurePayloadIndexes();
+    })().catch((err) => {
+      collectionReady = null;
+      throw err;
+    });
+  }
+  return collectionReady;
+}
+
+// (Re-)ingest one file under data/ and record it in the manifest
+export async function ingestDocument(filePath, { onProgress } = {}) {
+  await prepareCollection();
+  const hash = sha256(fs.readFileSync(filePath));
+  const chunks = await ingestFile(filePath, { onProgress });
+
+  const manifest = loadManifest();
+  manifest.files[sourcePathFor(filePath)] = {
+    hash,
+    chunks,
+    ingested_at: new Date().toISOString(),
+  };
+  saveManifest(manifest);
+  return { chunks };
+}
+
+// Delete a document's points, its manifest entry and the file itself
+export async function removeDocument(sourcePath) {
+  console.log(`🗑️  Removing ${sourcePath}`);
+  await deleteDocPoints(sourcePath);
+  removeDocumentProcedures(sourcePath);
+
+  const manifest = loadManifest();
+  delete manifest.files[sourcePath];
+  saveManifest(manifest);
+
+  fs.rmSync(filePathFor(sourcePath), { force: true });
+}
+
+// Files under data/ joined with the manifest. status is
+//   ingested - in Qdrant and unchanged since
+//   changed  - edited since it was ingested
+//   new      - never ingested
+//   missing  - ingested, but the file is gone
+export function listDocuments() {
+  const manifest = loadManifest();
+  const docs = new Map();
+
+  for (const filePath of fs.existsSync(DATA_DIR) ? findDocs() : []) {
+    const sourcePath = sourcePathFor(filePath);
+    const entry = manifest.files[sourcePath];
+    const hash = sha256(fs.readFileSync(filePath));
+    docs.set(sourcePath, {
+      source_path: sourcePath,
+      size: fs.statSync(filePath).size,
+      chunks: entry?.chunks ?? 0,
+      ingested_at: entry?.ingested_at ?? null,
+      status: !entry ? "new" : entry.hash === hash ? "ingested" : "changed",
+    });
+  }
+
+  for (const [sourcePath, entry] of Object.entries(manifest.files)) {
+    if (docs.has(sourcePath)) continue;
+    docs.set(sourcePath, {
+      source_path: sourcePath,
+      size: null,
+      chunks: entry.chunks,
+      ingested_at: entry.ingested_at,
+      status: "missing",
+    });
+  }
+
+  return [...docs.values()]
+    .map((d) => {
+      const [course_id, module_id] = d.source_path.split("/");
+      return { ...d, course_id, module_id };
+    })
+    .sort((a, b) => a.source_path.localeCompare(b.source_path));
+}
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+
+//
+// BACKGROUND JOBS
+//
+// In-memory FIFO queue for slow corpus work (ingest, re-ingest, delete).
+// Jobs run one at a time: they share the manifest file and the embedder,
+// and a training corpus changes rarely enough that there is nothing to gain
+// from parallel runs. Jobs are lost on restart; the manifest is not, so an
+// interrupted document just shows up as "new" or "changed" again.
+//
+// Job shape:
+//   { id, type, source_path, status: queued | running | done | failed,
+//     progress: { stage, done?, total? } | null, result, error,
+//     created_at, started_at, finished_at }
+//
+const MAX_FINISHED_JOBS = 100;
+
+export function createJobQueue() {
+  const jobs = new Map(); // id -> job, in creation order
+  const pending = [];
+  let running = false;
+
+  // Keep the newest finished jobs only
+  function prune() {
+    const finished = [...jobs.values()].filter(
+      (j) => j.status === "done" || j.status === "failed"
+    );
+    for (const job of finished.slice(0, -MAX_FINISHED_JOBS)) {
+      jobs.delete(job.id);
+    }
+  }
+
+  async function runNext() {
+    if (running || pending.length === 0) return;
+    running = true;
+
+    const { job, work } = pending.shift();
+    job.status = "running";
+    job.started_at = new Date().toISOString();
+
+    try {
+      job.result = await work((progress) => (job.progress = progress));
+      job.status = "done";
+    } catch (err) {
+      console.error(`Job ${job.type} ${job.source_path} failed`, err);
+      job.status = "failed";
+      job.error = err.message;
+    } finally {
+      job.finished_at = new Date().toISOString();
+      running = false;
+      prune();
+      runNext();
+    }
+  }
+
+  return {
+    // work(report) does the job; report(progress) updates job.progress
+    enqueue(type, sourcePath, work) {
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        source_path: sourcePath,
+        status: "queued",
+        progress: null,
+        result: null,
+        error: null,
+        created_at: new Date().toISOString(),
+        started_at: null,
+        finished_at: null,
+      };
+      jobs.set(job.id, job);
+      pending.push({ job, work });
+      runNext();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // Newest first
+    list() {
+      return [...jobs.values()].reverse();
+    },
+  };
+}
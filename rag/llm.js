@@ -0,0 +1,303 @@
+import "dotenv/config";
+import axios from "axios";
+
+//
+// LLM PROVIDERS
+//
+// Every text-generation call in the backend (answers, query routing and
+// rewriting, history summaries, the LLM reranker, quizzes, grounding checks)
+// goes through here. Pick a backend with LLM_PROVIDER:
+//   ollama - Ollama /api/generate (default)
+//   openai - any OpenAI-compatible /v1/chat/completions server: vLLM,
+//            llama.cpp server, LM Studio, ... (LLM_OPENAI_URL, LLM_API_KEY)
+//   mock   - deterministic replies without a model server, for tests
+//
+// Every provider exposes the same shape:
+//   { name, generate(request) -> text, stream(request) -> async iterable of
+//     text pieces }
+// request: { model, temperature, num_ctx, system, prompt, json, signal }
+//   json asks for a JSON reply; num_ctx only applies to Ollama. Aborting
+//   `signal` closes the connection (so the server stops generating) and
+//   rejects with signal.reason.
+//
+// Model, temperature and num_ctx are set per call type ("purpose"), so e.g.
+// rewriting can use a small model and answers a larger one:
+//   LLM_MODEL                     default model for every purpose
+//   LLM_<PURPOSE>_MODEL           e.g. LLM_REWRITE_MODEL
+//   LLM_<PURPOSE>_TEMPERATURE
+//   LLM_<PURPOSE>_NUM_CTX
+//
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || "ollama").toLowerCase();
+
+export const OLLAMA_URL = process.env.OLLAMA_URL || "http://127.0.0.1:11434";
+const LLM_OPENAI_URL = (
+  process.env.LLM_OPENAI_URL || "http://127.0.0.1:8000/v1"
+).replace(/\/$/, "");
+const LLM_API_KEY = process.env.LLM_API_KEY;
+
+const LLM_MODEL =
+  process.env.LLM_MODEL || process.env.OLLAMA_MODEL || "llama3.2:3b";
+
+// Defaults per purpose; the *_OLLAMA_MODEL names are the older settings
+const PURPOSES = {
+  answer: { temperature: 0.2, num_ctx: 4096 },
+  route: { temperature: 0, num_ctx: 2048 },
+  rewrite: { temperature: 0 },
+  summary: { temperature: 0, num_ctx: 4096 },
+  rerank: {
+    temperature: 0,
+    num_ctx: 8192,
+    model: process.env.RERANK_OLLAMA_MODEL,
+  },
+  quiz: { temperature: 0, num_ctx: 4096, model: process.env.QUIZ_OLLAMA_MODEL },
+  verify: { temperature: 0, num_ctx: 8192 },
+};
+
+function envNumber(name, parse) {
+  const v = process.env[name];
+  return v == null || v === "" ? undefined : parse(v);
+}
+
+// { model, temperature, num_ctx } for one purpose
+export function llmSettings(purpose) {
+  const defaults = PURPOSES[purpose];
+  if (!defaults) {
+    throw new Error(
+      `Unknown LLM purpose "${purpose}" (expected ${Object.keys(PURPOSES).join(
+        ", "
+      )})`
+    );
+  }
+  const key = `LLM_${purpose.toUpperCase()}`;
+  return {
+    model: process.env[`${key}_MODEL`] || defaults.model || LLM_MODEL,
+    temperature:
+      envNumber(`${key}_TEMPERATURE`, parseFloat) ?? defaults.temperature,
+    num_ctx:
+      envNumber(`${key}_NUM_CTX`, (v) => parseInt(v, 10)) ?? defaults.num_ctx,
+  };
+}
+
+// axios errors become signal.reason once the caller has aborted
+function rethrowAbort(signal) {
+  return (err) => {
+    throw signal?.aborted ? signal.reason : err;
+  };
+}
+
+// Lines of a streamed response body. Lines can arrive fragmented, so they
+// are buffered; setEncoding keeps multi-byte characters split across chunks
+// intact. Aborting `signal` destroys the stream and throws signal.reason.
+async function* readLines(stream, signal) {
+  const stop = () => stream.destroy();
+  if (signal?.aborted) {
+    stop();
+    throw signal.reason;
+  }
+  signal?.addEventListener("abort", stop, { once: true });
+  stream.setEncoding("utf8");
+
+  let buf = "";
+  try {
+    for await (const chunk of stream) {
+      buf += chunk;
+      const lines = buf.split("\n");
+      buf = lines.pop() || "";
+      for (const line of lines) if (line.trim()) yield line.trim();
+    }
+    if (buf.trim()) yield buf.trim();
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw err;
+  } finally {
+    signal?.removeEventListener("abort", stop);
+  }
+  signal?.throwIfAborted();
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null; // broken partial line; rare since lines are buffered
+  }
+}
+
+//
+// Ollama
+//
+function createOllamaLLM() {
+  const body = ({ model, temperature, num_ctx, system, prompt, json }) => ({
+    model,
+    ...(system && { system }),
+    prompt,
+    ...(json && { format: "json" }),
+    options: {
+      ...(temperature != null && { temperature }),
+      ...(num_ctx != null && { num_ctx }),
+    },
+  });
+
+  async function generate(request) {
+    const { signal } = request;
+    const resp = await axios
+      .post(
+        `${OLLAMA_URL}/api/generate`,
+        { ...body(request), stream: false },
+        { signal }
+      )
+      .catch(rethrowAbort(signal));
+    return (resp.data.response || "").trim();
+  }
+
+  // Ollama streams NDJSON: one JSON object per line
+  async function* stream(request) {
+    const { signal } = request;
+    const resp = await axios
+      .post(
+        `${OLLAMA_URL}/api/generate`,
+        { ...body(request), stream: true },
+        { responseType: "stream", signal }
+      )
+      .catch(rethrowAbort(signal));
+
+    for await (const line of readLines(resp.data, signal)) {
+      const json = parseLine(line);
+      if (json?.error) throw new Error(`Ollama: ${json.error}`);
+      if (json?.response) yield json.response;
+      if (json?.done) return;
+    }
+  }
+
+  return { name: "ollama", generate, stream };
+}
+
+//
+// OpenAI-compatible chat completions
+//
+function createOpenAiLLM() {
+  const headers = LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {};
+  const body = ({ model, temperature, system, prompt, json }) => ({
+    model,
+    messages: [
+      ...(system ? [{ role: "system", content: system }] : []),
+      { role: "user", content: prompt },
+    ],
+    ...(temperature != null && { temperature }),
+    ...(json && { response_format: { type: "json_object" } }),
+  });
+
+  async function generate(request) {
+    const { signal } = request;
+    const resp = await axios
+      .post(
+        `${LLM_OPENAI_URL}/chat/completions`,
+        { ...body(request), stream: false },
+        { headers, signal }
+      )
+      .catch(rethrowAbort(signal));
+    return (resp.data.choices?.[0]?.message?.content || "").trim();
+  }
+
+  // Server-sent events: "data: {chunk}" lines, then "data: [DONE]"
+  async function* stream(request) {
+    const { signal } = request;
+    const resp = await axios
+      .post(
+        `${LLM_OPENAI_URL}/chat/completions`,
+        { ...body(request), stream: true },
+        { headers, responseType: "stream", signal }
+      )
+      .catch(rethrowAbort(signal));
+
+    for await (const line of readLines(resp.data, signal)) {
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      const text = parseLine(data)?.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  return { name: "openai", generate, stream };
+}
+
+//
+// Mock
+//
+// The reply is reply(request) when given, else LLM_MOCK_REPLY, else "{}"
+// for JSON requests and otherwise the last line of the prompt that isn't a
+// label like "USER:" (the learner's message, for the answer and rewrite
+// prompts). Streams word by word. Every request is recorded in `calls`.
+//
+export function createMockLLM({ reply } = {}) {
+  const calls = [];
+
+  function replyTo(request) {
+    calls.push(request);
+    if (reply) return reply(request);
+    if (process.env.LLM_MOCK_REPLY) return process.env.LLM_MOCK_REPLY;
+    if (request.json) return "{}";
+    const lines = request.prompt.split("\n").map((l) => l.trim());
+    return lines.findLast((l) => l && !l.endsWith(":")) || "";
+  }
+
+  async function generate(request) {
+    request.signal?.throwIfAborted();
+    return replyTo(request);
+  }
+
+  async function* stream(request) {
+    const { signal } = request;
+    for (const piece of replyTo(request).match(/\S+\s*/g) || []) {
+      signal?.throwIfAborted();
+      yield piece;
+    }
+  }
+
+  return { name: "mock", generate, stream, calls };
+}
+
+const FACTORIES = {
+  ollama: createOllamaLLM,
+  openai: createOpenAiLLM,
+  mock: createMockLLM,
+};
+
+let llm = null;
+
+// Builds the configured provider once per process
+export function getLLM() {
+  if (!llm) {
+    const factory = FACTORIES[LLM_PROVIDER];
+    if (!factory) {
+      throw new Error(
+        `Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected ${Object.keys(
+          FACTORIES
+        ).join(", ")})`
+      );
+    }
+    llm = factory();
+  }
+  return llm;
+}
+
+// Provider and per-purpose models, for logs and eval reports
+export function describeLLM() {
+  return {
+    provider: LLM_PROVIDER,
+    models: Object.fromEntries(
+      Object.keys(PURPOSES).map((p) => [p, llmSettings(p).model])
+    ),
+  };
+}
+
+// { purpose, system?, prompt, json?, signal? } -> trimmed text
+export function generate({ purpose, ...request }) {
+  return getLLM().generate({ ...llmSettings(purpose), ...request });
+}
+
+// Same request -> async iterable of text pieces, passed on verbatim
+export function stream({ purpose, ...request }) {
+  return getLLM().stream({ ...llmSettings(purpose), ...request });
+}
@@ -0,0 +1,470 @@
+import "dotenv/config";
+import { countTokens, fitChunks, fitHistory, planBudget } from "./budget.js";
+import { replayAnswer } from "./cache.js";
+import { embedQuery } from "./embeddings.js";
+import { verifyAnswer } from "./grounding.js";
+import { generate, llmSettings, stream } from "./llm.js";
+import { hybridSearch } from "./qdrant.js";
+import { rerank, rerankEnabled, RERANK_CANDIDATES } from "./rerank.js";
+import { OFF_TOPIC_ANSWER, routeByRelevance, routeMessage } from "./router.js";
+
+//
+// RAG PIPELINE
+//
+// route -> summarize history -> rewrite -> embed -> [answer cache] ->
+// retrieve -> build context -> generate -> verify -> remember
+//
+// Only training questions take the whole path (see router.js): chitchat
+// gets a canned or short reply without retrieval, a clarification is
+// answered from the previous answer, and off-topic questions are refused
+// straight away (or, with the rules router, once the search finds nothing
+// close to them). With an answer cache (cache.js) a training question that
+// was answered before in the same scope is replayed instead of retrieved
+// and generated again.
+//
+// The one place that defines how a training question is answered: the
+// system prompt, top-k, context formatting and the LLM call (llm.js). The
+// JSON and streaming chat routes are thin transports around it, and anything
+// else that needs answers (evaluation, the avatar) should go through it too.
+// Every step can be swapped with createRagPipeline({ ...steps }).
+//
+export const RAG_TOP_K = parseInt(process.env.RAG_TOP_K || "5", 10);
+
+// Answer used when the training materials don't cover a question
+export const NO_ANSWER =
+  "I don’t have that in the training materials provided.";
+
+export const SYSTEM_PROMPT = `
+You are an enterprise training instructor.
+
+You MUST rely on the provided CONTEXT for training-related questions.
+If a training-related answer is not in the CONTEXT, say:
+"${NO_ANSWER}"
+
+You MAY respond naturally to simple conversational messages such as greetings, acknowledgements, or closings (for example: "hi", "okay", "thanks") without applying training constraints.
+
+Response guidelines:
+- Keep the answer brief.
+- Short or conversational inputs should receive brief, natural replies.
+- Training or procedural answers must be clear, structured, and actionable.
+- When asked about steps or actions, always prioritize IMMEDIATE safety actions first.
+- Do not reorder steps unless explicitly instructed.
+- Answer ONLY what the question asks.
+- Do not add background unless it directly supports the answer.
+- Do not use symbols, numbering, headings, or labels.
+- Do not include citations, references, or source markers.
+- Use plain, natural spoken language suitable for audio delivery.
+`.trim();
+
+// For small talk the router couldn't answer with a canned reply
+export const CHITCHAT_PROMPT = `
+You are an enterprise training instructor chatting with a learner.
+Reply in one or two short, friendly sentences of plain spoken language, then offer to help with their training.
+Do not answer factual or training questions here.
+`.trim();
+
+// Routes whose answers are checked against their sources
+const GROUNDED_ROUTES = new Set(["training", "clarification"]);
+
+export function formatConversation(history, summary = null) {
+  const turns = history.map((m) => `${m.role.toUpperCase()}: ${m.content}`);
+  if (summary) turns.unshift(`(Earlier in this conversation: ${summary})`);
+  return turns.join("\n");
+}
+
+//
+// STEPS
+//
+
+// Older turns rolled into the running summary of the conversation
+export async function summarizeHistory({ summary, messages }) {
+  const prompt = `
+Update the SUMMARY of a training conversation with the NEW MESSAGES.
+Keep the topics and procedures the learner asked about, what they were told, and anything they said about their role or task.
+At most 120 words. Reply with the summary only.
+
+SUMMARY:
+${summary || "(none yet)"}
+
+NEW MESSAGES:
+${formatConversation(messages)}
+`.trim();
+
+  return generate({ purpose: "summary", prompt });
+}
+
+// Follow-ups like "what about the second one?" become standalone questions
+export async function rewriteForRetrieval({ message, history, summary }) {
+  if ((!history || history.length === 0) && !summary) return message;
+
+  const prompt = `
+Rewrite the LAST user message into a standalone question that can be understood without the conversation.
+Do NOT answer the question. Keep it short and specific.
+
+CONVERSATION:
+${formatConversation(history, summary)}
+
+LAST USER MESSAGE:
+${message}
+
+Standalone question:
+`.trim();
+
+  return (await generate({ purpose: "rewrite", prompt })) || message;
+}
+
+// Keyword search sees both the rewritten query and the raw message, since
+// a rewrite can drop a part number or form code the learner typed
+function keywordQuery(message, retrievalQuery) {
+  return retrievalQuery === message ? message : `${retrievalQuery}\n${message}`;
+}
+
+// Hybrid search, optionally reranked. With a reranker, RERANK_CANDIDATES
+// hits are fetched and only the `limit` best that pass the relevance
+// threshold are kept, which may be none at all.
+export async function retrieve({
+  message,
+  retrievalQuery,
+  vector,
+  limit,
+  filter,
+}) {
+  const text = keywordQuery(message, retrievalQuery);
+  if (!rerankEnabled()) {
+    return hybridSearch({ vector, text, limit, filter });
+  }
+
+  const candidates = await hybridSearch({
+    vector,
+    text,
+    limit: Math.max(RERANK_CANDIDATES, limit),
+    filter,
+  });
+  return rerank(retrievalQuery, candidates, { topK: limit });
+}
+
+// Hits carry an `excerpt` when fitChunks() has cut them to the budget
+export function buildContext(hits) {
+  return hits
+    .map((h, idx) => {
+      const p = h.payload || {};
+      const where = [
+        p.slide_number && `slide ${p.slide_number}`,
+        p.page_number && `page ${p.page_number}`,
+        p.section_title &&
+          `"${(p.heading_path || [p.section_title]).join(" > ")}"`,
+      ].filter(Boolean);
+      const src = `${p.source_path || p.doc_id || "unknown"}${
+        where.length > 0 ? ` (${where.join(", ")})` : ""
+      }`;
+      return `[#${idx + 1}] ${src}\n${h.excerpt ?? p.content ?? ""}`;
+    })
+    .join("\n\n");
+}
+
+export function buildPrompt({ context, history, summary, message }) {
+  return `
+CONTEXT:
+${context}
+
+CONVERSATION SO FAR:
+${formatConversation(history, summary)}
+
+USER:
+${message}
+`.trim();
+}
+
+// With onToken the answer is streamed and every piece of text is passed on
+// verbatim as it arrives; without it one request is made and the trimmed
+// answer returned. Aborting `signal` stops generation and rejects with
+// signal.reason.
+export async function callLLM({ system, prompt, onToken, signal }) {
+  const request = { purpose: "answer", system, prompt, signal };
+  if (!onToken) return generate(request);
+
+  let text = "";
+  for await (const piece of stream(request)) {
+    text += piece;
+    onToken(piece);
+  }
+  return text;
+}
+
+//
+// PIPELINE
+//
+// prepare(input) runs everything up to the prompt and returns a context
+// object; generate(ctx, { onToken, signal }) produces the answer,
+// verify(ctx) checks it and remember(ctx) offers it to the answer cache.
+// They are split so a streaming transport can send sources before the first
+// token.
+// Aborting `signal` cancels generation; generate() rejects with its reason.
+//
+// input: { message, history = [], summary = null, filter = null,
+//          pinned = null }
+//   summary is the running summary of turns before `history`; pinned is
+//   context text put in front of the retrieved chunks (the current
+//   walkthrough step)
+// ctx:   { message, route, history, summary, summarized, filter, pinned,
+//          retrievalQuery, vector, hits, context, system, prompt, cacheHit,
+//          timings, answer?, grounding? }
+//   route is { type, method } from router.js. Routes other than training
+//   retrieve nothing: retrievalQuery is null and hits is empty. A
+//   clarification puts the previous answer into `pinned`. cacheHit is
+//   { id, query, similarity } when the answer comes from the cache (hits
+//   are then the cached answer's sources), else null.
+//
+// The prompt is fitted to the answer model's context window (budget.js):
+// ctx.history is the part of the history that made it into the prompt,
+// ctx.summary the summary of the rest, and ctx.summarized how many of the
+// input history messages were newly rolled into it (0 when the summary is
+// unchanged). ctx.hits are the hits in the prompt, with their excerpts.
+//
+// ctx.answer is already set by prepare() when no LLM call is needed (canned
+// chitchat, off-topic refusal, a cache hit, no chunk made it into the
+// context); the prompt is null when routing or the cache answered the
+// message. Cached answers are streamed at about the LLM's pace, so speech
+// and the avatar behave the same.
+//
+export function createRagPipeline(steps = {}) {
+  const s = {
+    topK: RAG_TOP_K,
+    contextTokens: llmSettings("answer").num_ctx ?? 4096,
+    system: SYSTEM_PROMPT,
+    route: routeMessage,
+    summarize: summarizeHistory,
+    rewrite: rewriteForRetrieval,
+    embed: embedQuery,
+    retrieve,
+    buildContext,
+    buildPrompt,
+    callLLM,
+    verify: verifyAnswer,
+    // { lookup, store } from createAnswerCache(), or null for no caching
+    cache: null,
+    ...steps,
+  };
+
+  // Run one step and record how long it took, in ms
+  async function timed(timings, name, fn) {
+    const t0 = Date.now();
+    const out = await fn();
+    timings[`${name}_ms`] = Date.now() - t0;
+    return out;
+  }
+
+  async function prepare({
+    message,
+    history: fullHistory = [],
+    summary: earlierSummary = null,
+    filter = null,
+    pinned = null,
+  }) {
+    const timings = {};
+    const ctx = {
+      message,
+      filter,
+      pinned,
+      history: fullHistory,
+      summary: earlierSummary,
+      summarized: 0,
+      retrievalQuery: null,
+      vector: null,
+      hits: [],
+      context: "",
+      system: s.system,
+      prompt: null,
+      cacheHit: null,
+      timings,
+    };
+
+    // 0) Route: small talk and off-topic questions may be answered already
+    const { reply, ...route } = await timed(timings, "route", () =>
+      s.route({ message, history: fullHistory })
+    );
+    ctx.route = route;
+    if (reply != null) {
+      ctx.answer = reply;
+      return ctx;
+    }
+
+    // 1) Split the token budget; older turns that don't fit are summarized
+    const budget = planBudget({
+      numCtx: s.contextTokens,
+      fixed:
+        countTokens(s.system) +
+        countTokens(s.buildPrompt({ context: "", history: [], message })),
+    });
+    const fitted = await timed(timings, "summarize", () =>
+      fitHistory({
+        history: fullHistory,
+        summary: earlierSummary,
+        maxTokens: budget.history,
+        summarize: s.summarize,
+      })
+    );
+    Object.assign(ctx, fitted);
+    const { history, summary } = fitted;
+
+    if (route.type === "chitchat") {
+      ctx.system = CHITCHAT_PROMPT;
+      ctx.prompt = s.buildPrompt(ctx);
+      return ctx;
+    }
+    // The previous answer is the context; it is also what grounding checks
+    const previous = fullHistory.findLast((m) => m.role === "assistant");
+    if (route.type === "clarification" && previous) {
+      ctx.pinned = [pinned, `Your previous answer:\n${previous.content}`]
+        .filter(Boolean)
+        .join("\n\n");
+      ctx.context = ctx.pinned;
+      ctx.prompt = s.buildPrompt(ctx);
+      return ctx;
+    }
+
+    // 2) Rewrite follow-up into standalone query for better retrieval
+    const retrievalQuery = await timed(timings, "rewrite", () =>
+      s.rewrite({ message, history, summary })
+    );
+    console.log("🔁 Retrieval query:", retrievalQuery);
+
+    // 3) Embed rewritten query
+    const vector = await timed(timings, "embed", () => s.embed(retrievalQuery));
+    ctx.retrievalQuery = retrievalQuery;
+    ctx.vector = vector;
+
+    // 4) Answered before in this scope? Walkthrough questions depend on
+    // the step, so they are never cached
+    if (s.cache && !pinned) {
+      const cached = await timed(timings, "cache", () =>
+        s.cache.lookup({ vector, filter })
+      );
+      if (cached) {
+        const { entry, similarity } = cached;
+        console.log("💾 Answer cache hit:", entry.query, similarity);
+        ctx.cacheHit = { id: entry.id, query: entry.query, similarity };
+        ctx.hits = entry.hits;
+        ctx.grounding = entry.grounding;
+        ctx.answer = entry.answer;
+        return ctx;
+      }
+    }
+
+    // 5) Retrieve context from Qdrant
+    const retrieved = await timed(timings, "search", () =>
+      s.retrieve({ message, retrievalQuery, vector, limit: s.topK, filter })
+    );
+
+    // Nothing close to the question: off-topic after all (router.js). A
+    // walkthrough question has the step to go on
+    if (!pinned) ctx.route = routeByRelevance(route, retrieved);
+    if (ctx.route.type === "off_topic") {
+      ctx.answer = OFF_TOPIC_ANSWER;
+      return ctx;
+    }
+
+    // 6) Fit the hits into what the history left, then build the prompt
+    // A hit whose excerpt came out empty adds nothing, so it isn't cited
+    ctx.hits = fitChunks(retrieved, {
+      query: keywordQuery(message, retrievalQuery),
+      maxTokens:
+        budget.available -
+        countTokens(formatConversation(history, summary)) -
+        countTokens(pinned),
+    }).filter((h) => h.excerpt.trim());
+    ctx.context = [pinned, s.buildContext(ctx.hits)]
+      .filter(Boolean)
+      .join("\n\n");
+    ctx.prompt = s.buildPrompt(ctx);
+
+    // Nothing to answer from (nothing retrieved, nothing relevant enough
+    // for the reranker, or no room left for any chunk): refuse without
+    // calling the LLM
+    if (ctx.hits.length === 0 && !pinned) {
+      ctx.answer = NO_ANSWER;
+    }
+
+    return ctx;
+  }
+
+  // 7) Generate
+  async function generate(ctx, { onToken, signal } = {}) {
+    signal?.throwIfAborted();
+    if (ctx.answer != null) {
+      if (ctx.cacheHit && onToken) {
+        await replayAnswer(ctx.answer, onToken, { signal });
+      } else {
+        onToken?.(ctx.answer);
+      }
+      return ctx.answer;
+    }
+
+    return timed(ctx.timings, "generate", () =>
+      s.callLLM({ system: ctx.system, prompt: ctx.prompt, onToken, signal })
+    );
+  }
+
+  // 8) Check ctx.answer against the hits (grounding.js). Sets and returns
+  // ctx.grounding (null when checking is off, the route has no sources or
+  // there was nothing to check) and replaces ctx.answer with NO_ANSWER when
+  // the check refuses it. Cached answers keep the check they passed.
+  async function verify(ctx, { signal } = {}) {
+    if (ctx.cacheHit) return ctx.grounding;
+    ctx.grounding = null;
+    if (ctx.answer === NO_ANSWER || !GROUNDED_ROUTES.has(ctx.route.type)) {
+      return null;
+    }
+
+    ctx.grounding = await timed(ctx.timings, "verify", () =>
+      s.verify({
+        answer: ctx.answer,
+        hits: ctx.hits,
+        pinned: ctx.pinned,
+        refusal: NO_ANSWER,
+        signal,
+      })
+    );
+    if (ctx.grounding?.action === "refused") ctx.answer = NO_ANSWER;
+    return ctx.grounding;
+  }
+
+  // 9) Keep a complete, verified answer to a training question for the next
+  // learner who asks it. Refusals and low-confidence answers are not kept.
+  async function remember(ctx) {
+    if (
+      !s.cache ||
+      ctx.cacheHit ||
+      ctx.pinned ||
+      ctx.route.type !== "training" ||
+      !ctx.answer ||
+      ctx.answer === NO_ANSWER ||
+      ctx.grounding?.low_confidence ||
+      ctx.hits.length === 0
+    ) {
+      return;
+    }
+    try {
+      await s.cache.store({
+        query: ctx.retrievalQuery,
+        vector: ctx.vector,
+        filter: ctx.filter,
+        answer: ctx.answer,
+        hits: ctx.hits,
+        grounding: ctx.grounding,
+      });
+    } catch (err) {
+      console.error("Failed to cache answer", err); // the answer still stands
+    }
+  }
+
+  async function run(input, opts) {
+    const ctx = await prepare(input);
+    ctx.answer = await generate(ctx, opts);
+    await verify(ctx, opts);
+    await remember(ctx);
+    return ctx;
+  }
+
+  return { prepare, generate, verify, remember, run };
+}
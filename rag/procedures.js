@@ -0,0 +1,252 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+//
+// PROCEDURES
+//
+// Numbered steps found at ingestion time, stored as ordered lists so a
+// walkthrough can present them one at a time instead of trusting the LLM to
+// keep the order. Bulleted lists count too when their heading says they are
+// a procedure ("Lockout steps", "How to ...", "Checklist").
+//
+// procedure: { id, title, heading_path, source_path, course_id, module_id,
+//              page_numbers, slide_number?, steps: [{ number, text }] }
+//
+// The store is one JSON file (PROCEDURES_PATH) keyed by source_path; a
+// document's procedures are replaced whenever it is ingested and removed
+// with it. It is read on every lookup, so the server sees what the ingest
+// CLI wrote without a restart.
+//
+const PROCEDURES_PATH =
+  process.env.PROCEDURES_PATH || path.join(process.cwd(), "procedures.json");
+
+const MIN_STEPS = 2;
+
+// "3. Close the valve", "3) ...", "Step 3: ..." but not "3.5 kg ..."
+const NUMBERED_RE = /^(?:step\s+(\d+)\s*[.):-]?|(\d+)[.)])\s+(.+)$/is;
+const BULLET_RE = /^[-•*]\s+(.+)$/s;
+// "2.1 Verifying isolation" is read out as "Verifying isolation"
+const SECTION_NUMBER_RE = /^\d+(\.\d+)*\.?\s+/;
+const PROCEDURE_TITLE_RE =
+  /\b(procedures?|steps?|how to|instructions?|checklist|process|sequence)\b/i;
+
+//
+// DETECTION
+//
+
+// Same grouping as chunkSections(): consecutive sections under one heading or
+// slide form a block, whatever page they are on
+function sectionBlocks(sections) {
+  const blocks = [];
+  for (const section of sections) {
+    const meta = section.meta || {};
+    const key = JSON.stringify([
+      meta.slide_number ?? null,
+      meta.section_title ?? null,
+      meta.heading_path ?? null,
+    ]);
+    let block = blocks[blocks.length - 1];
+    if (!block || block.key !== key) {
+      block = { key, meta, paragraphs: [] };
+      blocks.push(block);
+    }
+    for (const text of (section.text || "").split(/\n\s*\n/)) {
+      if (text.trim()) {
+        block.paragraphs.push({ text: text.trim(), page: meta.page_number });
+      }
+    }
+  }
+  return blocks;
+}
+
+function newProcedure(block, intro, kind) {
+  return {
+    kind,
+    // "To lock out the press:" names the list better than the heading does
+    title:
+      intro && /:$/.test(intro)
+        ? intro.slice(0, -1).trim()
+        : block.meta.section_title?.replace(SECTION_NUMBER_RE, "") || null,
+    heading_path: block.meta.heading_path || null,
+    slide_number: block.meta.slide_number ?? null,
+    pages: [],
+    steps: [],
+  };
+}
+
+// sections (as returned by the extractors) -> procedures without ids, in
+// document order
+export function detectProcedures(sections) {
+  const found = [];
+
+  for (const block of sectionBlocks(sections)) {
+    const bulletsAreSteps = PROCEDURE_TITLE_RE.test(
+      block.meta.section_title || ""
+    );
+    let current = null;
+    let pending = []; // text after a step; kept if the list goes on
+    let intro = null; // paragraph just before the list
+
+    const end = () => {
+      if (current?.steps.length >= MIN_STEPS) found.push(current);
+      current = null;
+      pending = [];
+    };
+
+    const addStep = (text, page) => {
+      const last = current.steps[current.steps.length - 1];
+      // Notes and warnings between two steps belong to the earlier one
+      if (last && pending.length > 0) {
+        last.text = [last.text, ...pending].join("\n");
+      }
+      pending = [];
+      current.steps.push({ number: current.steps.length + 1, text });
+      if (page != null) current.pages.push(page);
+    };
+
+    for (const { text, page } of block.paragraphs) {
+      const numbered = text.match(NUMBERED_RE);
+      const bullet = text.match(BULLET_RE);
+
+      if (numbered) {
+        const n = Number(numbered[1] ?? numbered[2]);
+        const continues =
+          current?.kind === "numbered" && n === current.steps.length + 1;
+        if (!continues) {
+          end();
+          if (n !== 1) continue;
+          current = newProcedure(block, intro, "numbered");
+        }
+        addStep(numbered[3].trim(), page);
+      } else if (bullet && current?.kind === "numbered") {
+        pending.push(text); // sub-item of the current step
+      } else if (bullet && bulletsAreSteps) {
+        if (current?.kind !== "bullet") {
+          end();
+          current = newProcedure(block, intro, "bullet");
+        }
+        addStep(bullet[1].trim(), page);
+      } else {
+        if (current) {
+          pending.push(text);
+          // Two plain paragraphs in a row: the list is over
+          if (pending.filter((t) => !BULLET_RE.test(t)).length > 1) end();
+        }
+        intro = text;
+      }
+    }
+    end();
+  }
+
+  return found.map(({ kind, pages, slide_number, ...p }) => ({
+    ...p,
+    page_numbers: [...new Set(pages)],
+    ...(slide_number != null && { slide_number }),
+  }));
+}
+
+//
+// STORE
+//
+function load() {
+  if (!fs.existsSync(PROCEDURES_PATH)) return { version: 1, documents: {} };
+  return JSON.parse(fs.readFileSync(PROCEDURES_PATH, "utf8"));
+}
+
+// Write-then-rename so a crash never leaves a half-written file
+function save(store) {
+  const tmp = `${PROCEDURES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, PROCEDURES_PATH);
+}
+
+function procedureId(sourcePath, index, title) {
+  return crypto
+    .createHash("sha256")
+    .update(`${sourcePath}\n${index}\n${title}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Replace a document's procedures; doc is { source_path, course_id, module_id }
+export function saveDocumentProcedures(doc, procedures) {
+  const store = load();
+  if (procedures.length === 0) {
+    if (!store.documents[doc.source_path]) return;
+    delete store.documents[doc.source_path];
+  } else {
+    store.documents[doc.source_path] = procedures.map((p, i) => ({
+      id: procedureId(doc.source_path, i, p.title),
+      ...p,
+      title: p.title || `${path.basename(doc.source_path)} procedure ${i + 1}`,
+      source_path: doc.source_path,
+      course_id: doc.course_id,
+      module_id: doc.module_id,
+    }));
+  }
+  save(store);
+}
+
+export function removeDocumentProcedures(sourcePath) {
+  saveDocumentProcedures({ source_path: sourcePath }, []);
+}
+
+export function getProcedure(id) {
+  return (
+    Object.values(load().documents)
+      .flat()
+      .find((p) => p.id === id) || null
+  );
+}
+
+// Optional { course_id, module_id } scope, as strings or lists
+export function listProcedures(scope = {}) {
+  const matches = (key, p) => {
+    const want = scope[key];
+    if (!want || (Array.isArray(want) && want.length === 0)) return true;
+    return [want].flat().map(String).includes(p[key]);
+  };
+  return Object.values(load().documents)
+    .flat()
+    .filter((p) => matches("course_id", p) && matches("module_id", p));
+}
+
+//
+// LOOKUP
+//
+const words = (text) => new Set(text.toLowerCase().match(/\p{L}{3,}/gu) || []);
+
+// The procedure a walkthrough request is about: the one that holds the best
+// retrieved chunk (same document and section) if there is one, otherwise
+// the best title match for the message
+export function findProcedure({ message, hits = [], scope = {} }) {
+  const procedures = listProcedures(scope);
+  if (procedures.length === 0) return null;
+
+  for (const hit of hits) {
+    const p = hit.payload || {};
+    const match = procedures.find(
+      (proc) =>
+        proc.source_path === p.source_path &&
+        (proc.heading_path
+          ? JSON.stringify(proc.heading_path) === JSON.stringify(p.heading_path)
+          : !p.heading_path) &&
+        (proc.slide_number ?? null) === (p.slide_number ?? null)
+    );
+    if (match) return match;
+  }
+
+  const asked = words(message);
+  let best = null;
+  let bestScore = 0;
+  for (const proc of procedures) {
+    const title = words([proc.title, ...(proc.heading_path || [])].join(" "));
+    const score = [...title].filter((w) => asked.has(w)).length;
+    if (score > bestScore) {
+      best = proc;
+      bestScore = score;
+    }
+  }
+  return best;
+}
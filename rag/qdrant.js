@@ -0,0 +1,154 @@
+import "dotenv/config";
+import axios from "axios";
+import { querySparseVector, SPARSE_VECTOR_NAME } from "./bm25.js";
+import { fuseRRF } from "./fusion.js";
+
+//
+// QDRANT SEARCH
+//
+export const QDRANT_URL = process.env.QDRANT_URL || "http://127.0.0.1:6333";
+export const QDRANT_COLLECTION =
+  process.env.QDRANT_COLLECTION || "training_chunks";
+
+// Hybrid retrieval: dense + BM25 keyword results merged with weighted RRF
+const HYBRID_SEARCH = (process.env.HYBRID_SEARCH || "on") !== "off";
+const HYBRID_DENSE_WEIGHT = parseFloat(process.env.HYBRID_DENSE_WEIGHT || "1");
+const HYBRID_KEYWORD_WEIGHT = parseFloat(
+  process.env.HYBRID_KEYWORD_WEIGHT || "1"
+);
+const RRF_K = parseInt(process.env.RRF_K || "60", 10);
+
+const COLLECTION_URL = `${QDRANT_URL}/collections/${QDRANT_COLLECTION}`;
+
+// --- Payload filter from the request scope (course / module / document) ---
+// Each field may be a single value or an array of allowed values.
+const SCOPE_FIELDS = ["course_id", "module_id", "doc_id"];
+
+export function buildScopeFilter(body = {}) {
+  const must = [];
+  for (const key of SCOPE_FIELDS) {
+    const v = body[key];
+    if (Array.isArray(v) && v.length > 0) {
+      must.push({ key, match: { any: v.map(String) } });
+    } else if (typeof v === "string" && v) {
+      must.push({ key, match: { value: v } });
+    }
+  }
+  return must.length > 0 ? { must } : null;
+}
+
+// --- Dense search ---
+export async function qdrantSearch(vector, limit = 5, filter = null) {
+  const res = await axios.post(`${COLLECTION_URL}/points/search`, {
+    vector,
+    limit,
+    with_payload: true,
+    ...(filter ? { filter } : {}),
+  });
+  return res.data.result || [];
+}
+
+// --- Keyword (BM25 sparse vector) search ---
+export async function qdrantKeywordSearch(text, limit = 5, filter = null) {
+  const vector = querySparseVector(text);
+  if (vector.indices.length === 0) return [];
+
+  const res = await axios.post(`${COLLECTION_URL}/points/search`, {
+    vector: { name: SPARSE_VECTOR_NAME, vector },
+    limit,
+    with_payload: true,
+    ...(filter ? { filter } : {}),
+  });
+  return res.data.result || [];
+}
+
+// Collections created before hybrid search have no sparse vector
+let keywordIndexAvailable = null;
+
+async function hasKeywordIndex() {
+  if (keywordIndexAvailable === null) {
+    const info = await axios.get(COLLECTION_URL);
+    keywordIndexAvailable = Boolean(
+      info.data.result.config.params.sparse_vectors?.[SPARSE_VECTOR_NAME]
+    );
+    if (!keywordIndexAvailable) {
+      console.warn(
+        "⚠️  No BM25 sparse vector in collection, dense search only"
+      );
+    }
+  }
+  return keywordIndexAvailable;
+}
+
+// --- Dense + keyword retrieval fused with reciprocal rank fusion ---
+export async function hybridSearch({ vector, text, limit = 5, filter = null }) {
+  if (!HYBRID_SEARCH || !(await hasKeywordIndex())) {
+    return qdrantSearch(vector, limit, filter);
+  }
+
+  // Over-fetch from each side so fusion has something to re-order
+  const candidates = Math.max(limit * 4, 20);
+  const [dense, keyword] = await Promise.all([
+    qdrantSearch(vector, candidates, filter),
+    qdrantKeywordSearch(text, candidates, filter),
+  ]);
+
+  return fuseRRF(
+    [
+      { name: "dense", weight: HYBRID_DENSE_WEIGHT, hits: dense },
+      { name: "keyword", weight: HYBRID_KEYWORD_WEIGHT, hits: keyword },
+    ],
+    { k: RRF_K, limit }
+  );
+}
+
+// --- Courses and modules present in the collection ---
+export async function listCourses() {
+  const courses = new Map(); // course_id -> Map(module_id -> chunk count)
+  let offset = null;
+
+  do {
+    const res = await axios.post(`${COLLECTION_URL}/points/scroll`, {
+      limit: 1000,
+      offset,
+      with_payload: { include: ["course_id", "module_id"] },
+      with_vector: false,
+    });
+    for (const pt of res.data.result.points) {
+      const { course_id = "general", module_id = "intro" } = pt.payload || {};
+      if (!courses.has(course_id)) courses.set(course_id, new Map());
+      const modules = courses.get(course_id);
+      modules.set(module_id, (modules.get(module_id) || 0) + 1);
+    }
+    offset = res.data.result.next_page_offset;
+  } while (offset != null);
+
+  return [...courses.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([course_id, modules]) => ({
+      course_id,
+      modules: [...modules.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([module_id, chunks]) => ({ module_id, chunks })),
+    }));
+}
+
+// --- Every chunk in a scope (quiz sampling), without vectors ---
+export async function scrollChunks(filter = null) {
+  const points = [];
+  let offset = null;
+
+  do {
+    const res = await axios.post(`${COLLECTION_URL}/points/scroll`, {
+      limit: 1000,
+      offset,
+      with_payload: true,
+      with_vector: false,
+      ...(filter ? { filter } : {}),
+    });
+    points.push(...res.data.result.points);
+    offset = res.data.result.next_page_offset;
+  } while (offset != null);
+
+  return points;
+}
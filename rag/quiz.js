@@ -0,0 +1,409 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { generate } from "./llm.js";
+import { scrollChunks } from "./qdrant.js";
+
+//
+// KNOWLEDGE CHECKS
+//
+// Quizzes are written by the LLM from chunks sampled out of a course /
+// module, one question per chunk, so every question can point back to the
+// passage it tests. Multiple-choice answers are graded by comparison;
+// short answers against a rubric of key points taken from the same passage,
+// so grading stays grounded in the material rather than the model's own
+// knowledge.
+//
+// quiz:     { id, title, course_id, module_id, created_at, questions }
+// question: { id, type: "multiple_choice" | "short_answer", question,
+//             choices?, answer_index?, explanation?,      (multiple choice)
+//             reference_answer?, rubric?,                 (short answer)
+//             source: { point_id, source_path, page_numbers, slide_number,
+//                       section_title, passage } }
+// attempt:  { id, quiz_id, learner_id, submitted_at, score, correct, total,
+//             results: [{ question_id, answer, correct, score, feedback,
+//                         expected, source }] }
+//
+// Quizzes and attempts live in one JSON file (QUIZ_PATH). Learners are
+// identified by whatever learner_id the client sends; there is no login.
+//
+const QUIZ_PATH =
+  process.env.QUIZ_PATH || path.join(process.cwd(), "quizzes.json");
+
+export const QUIZ_QUESTIONS = parseInt(process.env.QUIZ_QUESTIONS || "5", 10);
+export const MAX_QUIZ_QUESTIONS = 20;
+export const QUESTION_TYPES = ["multiple_choice", "short_answer"];
+
+// Chunks shorter than this rarely hold enough for a question
+const MIN_CHUNK_CHARS = 200;
+const MAX_PASSAGE_CHARS = 1500;
+// Share of rubric points a short answer needs to count as correct
+const SHORT_ANSWER_PASS = 0.6;
+
+const SYSTEM = `
+You write and grade knowledge checks for enterprise training.
+Use ONLY the PASSAGE you are given. Reply with JSON only.
+`.trim();
+
+const newId = () => crypto.randomUUID();
+
+// One JSON completion; null when the model's reply doesn't parse
+async function askJson(prompt, { signal } = {}) {
+  const reply = await generate({
+    purpose: "quiz",
+    system: SYSTEM,
+    prompt,
+    json: true,
+    signal,
+  });
+  try {
+    return JSON.parse(reply);
+  } catch {
+    return null;
+  }
+}
+
+//
+// GENERATION
+//
+function passageOf(point) {
+  return (point.payload?.content || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_PASSAGE_CHARS);
+}
+
+function sourceOf(point) {
+  const p = point.payload || {};
+  return {
+    point_id: point.id,
+    source_path: p.source_path || p.doc_id || "unknown",
+    page_numbers: p.page_numbers || (p.page_number ? [p.page_number] : []),
+    slide_number: p.slide_number ?? null,
+    section_title: p.section_title ?? null,
+    passage: passageOf(point),
+  };
+}
+
+function shuffle(items) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Random order, but one chunk per document section before any section gets
+// a second, so a quiz covers the module instead of one chapter
+function spreadSample(points) {
+  const groups = new Map();
+  for (const pt of shuffle(points)) {
+    const p = pt.payload || {};
+    const key = `${p.source_path}\n${p.section_title ?? p.page_number ?? ""}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pt);
+  }
+  const queues = shuffle([...groups.values()]);
+  const out = [];
+  while (queues.some((q) => q.length > 0)) {
+    for (const q of queues) if (q.length > 0) out.push(q.shift());
+  }
+  return out;
+}
+
+const nonEmpty = (v) => typeof v === "string" && v.trim().length > 0;
+
+async function writeMultipleChoice(passage, { signal }) {
+  const out = await askJson(
+    `
+Write ONE multiple-choice question that checks understanding of the PASSAGE.
+- It must be answerable from the PASSAGE alone, without other knowledge.
+- Exactly one correct choice and three plausible but wrong ones.
+- No "all of the above" or "none of the above".
+Return JSON: {"question": "...", "choices": ["...", "...", "...", "..."], "answer_index": <0-3>, "explanation": "<why the answer is right, from the passage>"}
+
+PASSAGE:
+${passage}
+`.trim(),
+    { signal }
+  );
+
+  const choices = out?.choices;
+  if (
+    !nonEmpty(out?.question) ||
+    !Array.isArray(choices) ||
+    choices.length !== 4 ||
+    !choices.every(nonEmpty) ||
+    new Set(choices.map((c) => c.trim().toLowerCase())).size !== 4 ||
+    !Number.isInteger(out.answer_index) ||
+    out.answer_index < 0 ||
+    out.answer_index > 3
+  ) {
+    return null;
+  }
+
+  // Models like to put the right answer first; shuffle it to a random place
+  const correct = choices[out.answer_index].trim();
+  const shuffled = shuffle(choices.map((c) => c.trim()));
+  return {
+    type: "multiple_choice",
+    question: out.question.trim(),
+    choices: shuffled,
+    answer_index: shuffled.indexOf(correct),
+    explanation: nonEmpty(out.explanation) ? out.explanation.trim() : "",
+  };
+}
+
+async function writeShortAnswer(passage, { signal }) {
+  const out = await askJson(
+    `
+Write ONE short-answer question that checks understanding of the PASSAGE.
+- It must be answerable in one or two sentences from the PASSAGE alone.
+- Give a model answer and a rubric of 1 to 4 key points a good answer must contain. Every key point must be stated in the PASSAGE.
+Return JSON: {"question": "...", "reference_answer": "...", "rubric": ["key point", ...]}
+
+PASSAGE:
+${passage}
+`.trim(),
+    { signal }
+  );
+
+  const rubric = Array.isArray(out?.rubric) ? out.rubric.filter(nonEmpty) : [];
+  if (
+    !nonEmpty(out?.question) ||
+    !nonEmpty(out?.reference_answer) ||
+    rubric.length === 0
+  ) {
+    return null;
+  }
+  return {
+    type: "short_answer",
+    question: out.question.trim(),
+    reference_answer: out.reference_answer.trim(),
+    rubric: rubric.slice(0, 4).map((r) => r.trim()),
+  };
+}
+
+const WRITERS = {
+  multiple_choice: writeMultipleChoice,
+  short_answer: writeShortAnswer,
+};
+
+function quizTitle({ course_id, module_id }) {
+  if (!course_id) return "All courses knowledge check";
+  return `${course_id}${module_id ? ` / ${module_id}` : ""} knowledge check`;
+}
+
+// scope: { course_id?, module_id? }; filter: the matching Qdrant filter.
+// Question types take turns. Chunks the model can't write a valid question
+// for are skipped, so a quiz can come back shorter than `count` (or empty).
+export async function generateQuiz({
+  scope = {},
+  filter = null,
+  count = QUIZ_QUESTIONS,
+  types = QUESTION_TYPES,
+  signal,
+}) {
+  const candidates = spreadSample(
+    (await scrollChunks(filter)).filter(
+      (pt) => passageOf(pt).length >= MIN_CHUNK_CHARS
+    )
+  ).slice(0, count * 2);
+
+  const questions = [];
+  for (const point of candidates) {
+    if (questions.length >= count) break;
+    signal?.throwIfAborted();
+    const type = types[questions.length % types.length];
+    const q = await WRITERS[type](passageOf(point), { signal });
+    if (q) questions.push({ id: newId(), ...q, source: sourceOf(point) });
+  }
+
+  return {
+    id: newId(),
+    title: quizTitle(scope),
+    course_id: scope.course_id || null,
+    module_id: scope.module_id || null,
+    created_at: new Date().toISOString(),
+    questions,
+  };
+}
+
+// What a learner sees before answering: no answers, rubrics or passages
+export function publicQuiz(quiz) {
+  return {
+    ...quiz,
+    questions: quiz.questions.map((q) => ({
+      id: q.id,
+      type: q.type,
+      question: q.question,
+      ...(q.choices && { choices: q.choices }),
+    })),
+  };
+}
+
+// An attempt in a learner's history: the score only. The per-question
+// results carry the answer key (expected answers, rubrics, passages), and
+// learner ids are just names, so anyone could ask for them.
+export function attemptSummary({ results, ...attempt }) {
+  return attempt;
+}
+
+//
+// GRADING
+//
+async function gradeShortAnswer(q, text, { signal }) {
+  const out = await askJson(
+    `
+Grade a learner's answer to a training question against the RUBRIC.
+For each rubric point, decide whether the learner's answer states it (paraphrases count; guesses that contradict the PASSAGE do not).
+Then write one or two sentences of feedback for the learner, based on the PASSAGE.
+Return JSON: {"met": [<true or false per rubric point, in order>], "feedback": "..."}
+
+PASSAGE:
+${q.source.passage}
+
+QUESTION:
+${q.question}
+
+RUBRIC:
+${q.rubric.map((r, i) => `${i + 1}. ${r}`).join("\n")}
+
+LEARNER ANSWER:
+${text}
+`.trim(),
+    { signal }
+  );
+
+  const met = q.rubric.map((_, i) => out?.met?.[i] === true);
+  const score = met.filter(Boolean).length / q.rubric.length;
+  return {
+    score,
+    correct: score >= SHORT_ANSWER_PASS,
+    feedback: nonEmpty(out?.feedback)
+      ? out.feedback.trim()
+      : `A complete answer covers: ${q.rubric.join("; ")}.`,
+    rubric: q.rubric.map((point, i) => ({ point, met: met[i] })),
+  };
+}
+
+async function gradeQuestion(q, answer = {}, { signal }) {
+  if (q.type === "multiple_choice") {
+    const choice = Number.isInteger(answer.choice_index)
+      ? answer.choice_index
+      : null;
+    const correct = choice === q.answer_index;
+    return {
+      answer: { choice_index: choice },
+      correct,
+      score: correct ? 1 : 0,
+      feedback: q.explanation,
+      expected: q.choices[q.answer_index],
+    };
+  }
+
+  const text = typeof answer.text === "string" ? answer.text.trim() : "";
+  const graded = text
+    ? await gradeShortAnswer(q, text, { signal })
+    : {
+        score: 0,
+        correct: false,
+        feedback: "No answer given.",
+        rubric: q.rubric.map((point) => ({ point, met: false })),
+      };
+  return { answer: { text }, ...graded, expected: q.reference_answer };
+}
+
+// answers: [{ question_id, choice_index? , text? }]
+export async function gradeAttempt(
+  quiz,
+  { learner_id, answers = [] },
+  opts = {}
+) {
+  const byQuestion = new Map(answers.map((a) => [a?.question_id, a]));
+  const results = [];
+  for (const q of quiz.questions) {
+    const graded = await gradeQuestion(q, byQuestion.get(q.id), opts);
+    results.push({ question_id: q.id, ...graded, source: q.source });
+  }
+
+  const total = results.length;
+  return {
+    id: newId(),
+    quiz_id: quiz.id,
+    quiz_title: quiz.title,
+    learner_id,
+    submitted_at: new Date().toISOString(),
+    score: total ? results.reduce((sum, r) => sum + r.score, 0) / total : 0,
+    correct: results.filter((r) => r.correct).length,
+    total,
+    results,
+  };
+}
+
+//
+// STORE
+//
+export function createQuizStore(filePath = QUIZ_PATH) {
+  let data = { version: 1, quizzes: {}, attempts: [] };
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+  // Null prototype: ids come from URLs, and "__proto__" must not resolve
+  data.quizzes = Object.assign(Object.create(null), data.quizzes);
+
+  // Write-then-rename so a crash never leaves a half-written file
+  function persist() {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  const summarize = ({ questions, ...quiz }) => ({
+    ...quiz,
+    question_count: questions.length,
+  });
+
+  return {
+    async saveQuiz(quiz) {
+      data.quizzes[quiz.id] = quiz;
+      persist();
+      return quiz;
+    },
+
+    async getQuiz(id) {
+      return data.quizzes[id] || null;
+    },
+
+    // Newest first, optionally for one course / module
+    async listQuizzes({ course_id, module_id } = {}) {
+      return Object.values(data.quizzes)
+        .filter(
+          (q) =>
+            (!course_id || q.course_id === course_id) &&
+            (!module_id || q.module_id === module_id)
+        )
+        .map(summarize)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    async saveAttempt(attempt) {
+      data.attempts.push(attempt);
+      persist();
+      return attempt;
+    },
+
+    // Newest first; filter by { learner_id, quiz_id }
+    async listAttempts({ learner_id, quiz_id } = {}) {
+      return data.attempts
+        .filter(
+          (a) =>
+            (!learner_id || a.learner_id === learner_id) &&
+            (!quiz_id || a.quiz_id === quiz_id)
+        )
+        .sort((a, b) => b.submitted_at.localeCompare(a.submitted_at));
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import "dotenv/config";
+import { generate } from "./llm.js";
+
+//
+// RERANKING
+//
+// Optional stage between retrieval and generation: over-fetch candidates,
+// score each one against the query, drop everything under the relevance
+// threshold and keep the best top-k. Pick a backend with RERANK_PROVIDER:
+//   none          - disabled (default)
+//   cross-encoder - transformers.js cross-encoder on CPU (RERANK_MODEL)
+//   llm           - one relevance-rating prompt for all candidates, sent to
+//                   the configured LLM (llm.js); "ollama" is the old name
+//
+// Scores are normalized to 0..1 for every backend so RERANK_THRESHOLD means
+// the same thing whichever one is used.
+//
+const RERANK_PROVIDER = (process.env.RERANK_PROVIDER || "none").toLowerCase();
+const RERANK_MODEL =
+  process.env.RERANK_MODEL || "Xenova/ms-marco-MiniLM-L-6-v2";
+export const RERANK_CANDIDATES = parseInt(
+  process.env.RERANK_CANDIDATES || "30",
+  10
+);
+const RERANK_THRESHOLD = parseFloat(process.env.RERANK_THRESHOLD || "0.3");
+
+// Passage text shown to the scorer
+const MAX_PASSAGE_CHARS = 1000;
+
+const passageOf = (hit) =>
+  (hit.payload?.content || "").slice(0, MAX_PASSAGE_CHARS);
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+//
+// Cross-encoder (transformers.js)
+//
+async function createCrossEncoderScorer() {
+  let transformers;
+  try {
+    transformers = await import("@huggingface/transformers");
+  } catch {
+    throw new Error(
+      "RERANK_PROVIDER=cross-encoder needs @huggingface/transformers (npm install @huggingface/transformers)"
+    );
+  }
+
+  const tokenizer = await transformers.AutoTokenizer.from_pretrained(
+    RERANK_MODEL
+  );
+  const model =
+    await transformers.AutoModelForSequenceClassification.from_pretrained(
+      RERANK_MODEL,
+      { device: "cpu" }
+    );
+
+  return async (query, passages) => {
+    const inputs = tokenizer(new Array(passages.length).fill(query), {
+      text_pair: passages,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await model(inputs);
+    // ms-marco cross-encoders emit one relevance logit per pair
+    return Array.from(logits.data, sigmoid);
+  };
+}
+
+//
+// LLM relevance prompt
+//
+async function createLlmScorer() {
+  return async (query, passages) => {
+    const numbered = passages
+      .map((p, i) => `[${i + 1}] ${p.replace(/\s+/g, " ")}`)
+      .join("\n\n");
+
+    const prompt = `
+Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+Return JSON only: {"scores": [<one integer per passage, in order>]}
+
+QUESTION:
+${query}
+
+PASSAGES:
+${numbered}
+`.trim();
+
+    const reply = await generate({ purpose: "rerank", prompt, json: true });
+
+    let scores = [];
+    try {
+      scores = JSON.parse(reply).scores || [];
+    } catch {
+      console.warn("Rerank: unparseable LLM response, keeping order");
+    }
+
+    // Missing or malformed scores count as borderline, not as irrelevant
+    return passages.map((_, i) => {
+      const s = Number(scores[i]);
+      return Number.isFinite(s) ? Math.min(Math.max(s, 0), 10) / 10 : 0.5;
+    });
+  };
+}
+
+const FACTORIES = {
+  "cross-encoder": createCrossEncoderScorer,
+  llm: createLlmScorer,
+  ollama: createLlmScorer,
+};
+
+let scorerPromise = null;
+
+function getScorer() {
+  if (!scorerPromise) {
+    const factory = FACTORIES[RERANK_PROVIDER];
+    if (!factory) {
+      throw new Error(
+        `Unknown RERANK_PROVIDER "${RERANK_PROVIDER}" (expected none, ${Object.keys(
+          FACTORIES
+        ).join(", ")})`
+      );
+    }
+    scorerPromise = factory();
+    scorerPromise.catch(() => {
+      scorerPromise = null;
+    });
+  }
+  return scorerPromise;
+}
+
+export function rerankEnabled() {
+  return RERANK_PROVIDER !== "none";
+}
+
+// hits -> top `topK` hits scoring at least RERANK_THRESHOLD, best first.
+// The rerank score becomes hit.score; retrieval scores stay in hit.scores.
+export async function rerank(query, hits, { topK = 5 } = {}) {
+  if (hits.length === 0) return [];
+
+  const scorer = await getScorer();
+  const relevance = await scorer(query, hits.map(passageOf));
+
+  return hits
+    .map((hit, i) => ({
+      ...hit,
+      score: relevance[i],
+      scores: {
+        ...(hit.scores || { retrieval: hit.score }),
+        rerank: relevance[i],
+      },
+    }))
+    .filter((hit) => hit.score >= RERANK_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
@@ -0,0 +1,185 @@
+import "dotenv/config";
+import { simplifyText } from "./chunker.js";
+import { generate } from "./llm.js";
+
+//
+// QUERY ROUTING
+//
+// Decides what a message needs before anything is retrieved, so "hi" and
+// "thanks" don't pay for a rewrite, an embedding and a search:
+//   chitchat      - greetings, thanks, small talk; a canned or short reply
+//   training      - a question for the training materials; full RAG path
+//   clarification - "what do you mean?"; the previous answer is explained
+//                   again, nothing new is retrieved
+//   off_topic     - outside the training scope; an immediate refusal
+//
+// How with ROUTER_MODE:
+//   rules - patterns only; anything they don't match is a training question
+//           until retrieval shows nothing close to it (default)
+//   llm   - the rules below first, then the "route" LLM purpose for
+//           everything they don't settle; one more LLM round-trip before
+//           every training question
+//   off   - every message is a training question
+//
+// ROUTER_SCOPE describes what the training covers, for telling off-topic
+// questions apart. In rules mode a training question whose closest
+// retrieved chunk has a cosine similarity below ROUTER_MIN_SIMILARITY is
+// off-topic after all (routeByRelevance(), after the search); that costs
+// the rewrite, embedding and search, but no LLM call.
+//
+// route: { type, method: "rules" | "llm" | "off", reply? }
+//   reply is the finished answer when no LLM call is needed (canned
+//   chitchat, off-topic refusal)
+//
+export const ROUTES = ["chitchat", "training", "clarification", "off_topic"];
+
+const ROUTER_MODE = (process.env.ROUTER_MODE || "rules").toLowerCase();
+const ROUTER_SCOPE =
+  process.env.ROUTER_SCOPE ||
+  "workplace training: procedures, safety, policies, tools and equipment, and how the company works";
+// 0 turns the relevance check off
+const ROUTER_MIN_SIMILARITY = parseFloat(
+  process.env.ROUTER_MIN_SIMILARITY || "0.2"
+);
+
+// Answer used when a question is outside the training scope
+export const OFF_TOPIC_ANSWER =
+  "Sorry, I can only help with questions about your training materials.";
+
+// Messages the classifier sees for context
+const ROUTER_HISTORY_MESSAGES = 4;
+
+//
+// Rules
+//
+// Whole-message matches only: "thanks, and what about gloves?" is not
+// chitchat.
+//
+const ACK = "ok|okay|k|great|cool|nice|perfect|alright|all right";
+
+const CANNED = [
+  {
+    pattern:
+      /^(hi|hello|hey|hiya|howdy|good (morning|afternoon|evening))( there| everyone| all)?$/,
+    reply: "Hi! What would you like to go over from your training?",
+  },
+  {
+    pattern: new RegExp(
+      `^((${ACK}) )?(thanks|thank you|thx|ty|cheers)( so much| very much| a lot| again)?$`
+    ),
+    reply:
+      "You're welcome. Is there anything else from the training I can help with?",
+  },
+  {
+    pattern: new RegExp(
+      `^((${ACK}) )?(bye|goodbye|see you|see ya|that's all|that is all)( for now)?$`
+    ),
+    reply: "Goodbye, and good luck with your training.",
+  },
+  {
+    pattern: new RegExp(`^(${ACK}|got it|sounds good|understood|makes sense)$`),
+    reply: "Great. Let me know if you have another question.",
+  },
+];
+
+const CLARIFY =
+  /^(sorry |please )?(what do you mean|what does that mean|i don't (understand|get it)|i'm (confused|lost)|huh|pardon|come again|say (that|it) again|(can|could) you (explain|clarify|rephrase|repeat|simplify|say) (that|it|this)( again| more simply| differently| in simpler terms)?|explain (that|it) (again|more simply|differently))( please)?$/;
+
+function routeByRules(message, hasAnswer) {
+  const plain = simplifyText(message);
+  const canned = CANNED.find((c) => c.pattern.test(plain));
+  if (canned) return { type: "chitchat", method: "rules", reply: canned.reply };
+  if (hasAnswer && CLARIFY.test(plain)) {
+    return { type: "clarification", method: "rules" };
+  }
+  return null;
+}
+
+//
+// LLM classifier
+//
+async function routeByLlm(message, history, hasAnswer) {
+  const conversation = history
+    .slice(-ROUTER_HISTORY_MESSAGES)
+    .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
+    .join("\n");
+
+  const prompt = `
+Classify the LAST MESSAGE a learner sent to a training assistant.
+The assistant answers questions about ${ROUTER_SCOPE}.
+Categories:
+- chitchat: greetings, thanks, acknowledgements or small talk; nothing to look up
+- training: a question or request the training materials could answer, including follow-ups to earlier answers
+- clarification: asks to explain, repeat or simplify the assistant's previous answer, without asking about anything new
+- off_topic: anything outside that scope, such as general knowledge, trivia, coding, entertainment or personal matters
+When unsure, choose training.
+Return JSON only: {"route": "<category>"}
+
+CONVERSATION:
+${conversation || "(none)"}
+
+LAST MESSAGE:
+${message}
+`.trim();
+
+  const reply = await generate({ purpose: "route", prompt, json: true });
+  let type = null;
+  try {
+    type = JSON.parse(reply).route;
+  } catch {
+    // handled below
+  }
+  if (!ROUTES.includes(type)) {
+    console.warn("Router: unusable LLM response, treating as training");
+    type = "training";
+  }
+  // Nothing to clarify yet: the learner is asking something new
+  if (type === "clarification" && !hasAnswer) type = "training";
+
+  return {
+    type,
+    method: "llm",
+    ...(type === "off_topic" && { reply: OFF_TOPIC_ANSWER }),
+  };
+}
+
+// { message, history } -> route
+export async function routeMessage({ message, history = [] }) {
+  if (ROUTER_MODE === "off") return { type: "training", method: "off" };
+  if (ROUTER_MODE !== "llm" && ROUTER_MODE !== "rules") {
+    throw new Error(
+      `Unknown ROUTER_MODE "${ROUTER_MODE}" (expected rules, llm, off)`
+    );
+  }
+
+  const hasAnswer = history.some((m) => m.role === "assistant");
+  const byRules = routeByRules(message, hasAnswer);
+  if (byRules) return byRules;
+  if (ROUTER_MODE === "rules") return { type: "training", method: "rules" };
+  return routeByLlm(message, history, hasAnswer);
+}
+
+// The query's cosine similarity to a hit: the dense score, kept in
+// scores.dense by fusion and in scores.retrieval by the reranker
+function denseScore(hit) {
+  if (!hit.scores) return hit.score;
+  return hit.scores.dense ?? hit.scores.retrieval;
+}
+
+// route, retrieved hits -> the route, or an off-topic route when none of
+// the hits is close to the question. Only training routes from the rules
+// are checked; the LLM classifier has judged the scope already.
+export function routeByRelevance(route, hits) {
+  if (
+    route.type !== "training" ||
+    route.method !== "rules" ||
+    ROUTER_MIN_SIMILARITY <= 0 ||
+    hits.length === 0
+  ) {
+    return route;
+  }
+  const best = Math.max(...hits.map(denseScore).filter(Number.isFinite));
+  return best >= ROUTER_MIN_SIMILARITY
+    ? route
+    : { type: "off_topic", method: "rules" };
+}
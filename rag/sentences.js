@@ -0,0 +1,49 @@
+//
+// SENTENCE SPLITTING FOR STREAMED TEXT
+//
+// Feeds on LLM tokens as they arrive and emits whole sentences as soon as
+// they are complete, so speech for the first sentence can start while the
+// rest of the answer is still being generated.
+//
+// Very short sentences ("Yes.", "Okay.") are merged into the next one so the
+// speech engine is not started for a single word.
+//
+const MIN_SENTENCE_CHARS = 24;
+
+// End of sentence: ., ! or ? (plus closing quotes/brackets) followed by
+// whitespace, or a line break
+const BOUNDARY_RE = /[.!?]+["')\]]*\s+|\n+/g;
+
+export function createSentenceSplitter(onSentence) {
+  let buffer = "";
+  let index = 0;
+
+  function emit(text) {
+    const sentence = text.replace(/\s+/g, " ").trim();
+    if (sentence) onSentence({ index: index++, text: sentence });
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+
+      let cut = 0;
+      let m;
+      BOUNDARY_RE.lastIndex = 0;
+      while ((m = BOUNDARY_RE.exec(buffer))) {
+        const end = m.index + m[0].length;
+        if (buffer.slice(cut, end).trim().length >= MIN_SENTENCE_CHARS) {
+          emit(buffer.slice(cut, end));
+          cut = end;
+        }
+      }
+      buffer = buffer.slice(cut);
+    },
+
+    // Emit whatever is left once the stream has ended
+    flush() {
+      emit(buffer);
+      buffer = "";
+    },
+  };
+}
@@ -2,21 +2,72 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import axios from "axios";
-import { InferenceClient } from "@huggingface/inference";
+import fs from "fs";
+import path from "path";
+import { openSSE, SSE_PROTOCOL_VERSION } from "./sse.js";
+import { createSessionStore } from "./sessions.js";
+import { buildScopeFilter, listCourses } from "./qdrant.js";
+import { createRagPipeline } from "./pipeline.js";
+import { GROUNDING_MODE } from "./grounding.js";
+import { ANSWER_CACHE_SIZE, createAnswerCache } from "./cache.js";
+import { describeLLM, OLLAMA_URL } from "./llm.js";
+import { createSpeechStream } from "./tts.js";
+import { isWav, transcribe } from "./stt.js";
+import { createJobQueue } from "./jobs.js";
+import {
+  filePathFor,
+  ingestDocument,
+  listDocuments,
+  removeDocument,
+  SUPPORTED_EXTENSIONS,
+} from "./ingestion.js";
+import { findProcedure, getProcedure, listProcedures } from "./procedures.js";
+import {
+  applyCommand,
+  describeWalkthrough,
+  NO_PROCEDURE,
+  parseCommand,
+  resumeText,
+  startWalkthrough,
+  stepContext,
+} from "./walkthrough.js";
+import {
+  attemptSummary,
+  createQuizStore,
+  generateQuiz,
+  gradeAttempt,
+  MAX_QUIZ_QUESTIONS,
+  publicQuiz,
+  QUESTION_TYPES,
+  QUIZ_QUESTIONS,
+} from "./quiz.js";
+import {
+  avatarEnabled,
+  avatarNeedsSession,
+  createAvatarDriver,
+  startAvatarSession,
+  stopAvatarSession,
+} from "./avatar.js";
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: "2mb" }));
 
-// ENV
-const QDRANT_URL = process.env.QDRANT_URL || "http://127.0.0.1:6333";
-const QDRANT_COLLECTION = process.env.QDRANT_COLLECTION || "training_chunks";
+// Messages not yet in the running summary that are passed to the pipeline;
+// only reached by long client-side histories and sessions from before
+// summaries, and keeps one summary call small
+const MAX_HISTORY_MESSAGES = 40;
 
-const HF_API_TOKEN = process.env.HF_API_TOKEN;
-const HF_EMBED_MODEL =
-  process.env.HF_EMBED_MODEL || "sentence-transformers/all-MiniLM-L6-v2";
+const sessions = await createSessionStore();
+const pipeline = createRagPipeline({
+  cache: ANSWER_CACHE_SIZE > 0 ? createAnswerCache() : null,
+});
+const jobs = createJobQueue();
+const quizzes = createQuizStore();
 
-const hf = new InferenceClient(HF_API_TOKEN);
+// Corpus management and quiz results need ADMIN_TOKEN; without it those
+// routes are refused, since any page the browser opens can reach this port
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
 function normalizeHistory(history) {
   if (!Array.isArray(history)) return [];
@@ -30,152 +81,202 @@ function normalizeHistory(history) {
     .map((m) => ({ role: m.role, content: m.content.slice(0, 4000) }));
 }
 
-async function rewriteForRetrieval({ message, history }) {
-  if (!history || history.length === 0) return message;
-
-  const convo = history
-    .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
-    .join("\n");
-
-  const prompt = `
-Rewrite the LAST user message into a standalone question that can be understood without the conversation.
-Do NOT answer the question. Keep it short and specific.
-
-CONVERSATION:
-${convo}
-
-LAST USER MESSAGE:
-${message}
-
-Standalone question:
-`.trim();
+// History comes from the stored session when the client sends a sessionId,
+// otherwise from the request body (clients that keep history themselves).
+// A session's running summary is stored on the assistant message where it
+// last changed, as { text, covers }: it covers session.messages[0, covers).
+// Returns { session, history, summary, historyStart } where historyStart
+// is the index of history[0] in session.messages; session is undefined when
+// the id is unknown.
+async function loadConversation(body) {
+  if (!body.sessionId) {
+    return {
+      session: null,
+      history: normalizeHistory(body.history).slice(-MAX_HISTORY_MESSAGES),
+      summary: null,
+      historyStart: 0,
+    };
+  }
 
-  const resp = await axios.post(`${OLLAMA_URL}/api/generate`, {
-    model: OLLAMA_MODEL,
-    prompt,
-    stream: false,
-    options: { temperature: 0 },
-  });
+  const session = await sessions.get(body.sessionId);
+  if (!session) return { session: undefined, history: [], summary: null };
 
-  return (resp.data.response || message).trim();
+  const summary = session.messages.findLast((m) => m.summary)?.summary;
+  const historyStart = Math.max(
+    summary?.covers || 0,
+    session.messages.length - MAX_HISTORY_MESSAGES
+  );
+  return {
+    session,
+    history: normalizeHistory(session.messages.slice(historyStart)),
+    summary: summary?.text || null,
+    historyStart,
+  };
 }
 
-
-// --- Embed user query with same embedder you used for ingestion ---
-async function embedQuery(text) {
-  const result = await hf.featureExtraction({
-    model: HF_EMBED_MODEL,
-    inputs: text,
-    provider: "hf-inference",
-  });
-
-  // normalize to 1D vector
-  if (Array.isArray(result) && Array.isArray(result[0])) return result[0];
-  if (Array.isArray(result) && typeof result[0] === "number") return result;
-  throw new Error("Unexpected embedding format from HF");
+// The session summary to store after a turn, when prepare() updated it
+function summaryAfter(ctx, historyStart) {
+  if (!ctx.summarized) return undefined;
+  return { text: ctx.summary, covers: historyStart + ctx.summarized };
 }
 
-// --- Search Qdrant ---
-async function qdrantSearch(vector, limit = 5) {
-  const res = await axios.post(
-    `${QDRANT_URL}/collections/${QDRANT_COLLECTION}/points/search`,
+// Append one question/answer turn to the session, if there is one.
+// `interrupted` marks a partial answer the learner stopped.
+// `walkthrough` is the progress of a guided walkthrough after this turn,
+// `summary` the running summary when this turn updated it, `grounding` the
+// check of the answer against its sources.
+async function recordTurn(
+  session,
+  {
+    message,
+    answer,
+    citations,
+    interrupted = false,
+    walkthrough,
+    summary,
+    grounding,
+  }
+) {
+  if (!session) return;
+  const now = new Date().toISOString();
+  await sessions.append(session.id, [
+    { role: "user", content: message, created_at: now },
     {
-      vector,
-      limit,
-      with_payload: true,
-    }
-  );
-  return res.data.result || [];
+      role: "assistant",
+      content: answer,
+      created_at: now,
+      citations,
+      ...(interrupted && { interrupted: true }),
+      ...(walkthrough !== undefined && { walkthrough }),
+      ...(summary && { summary }),
+      ...(grounding && { grounding }),
+    },
+  ]);
 }
 
-// --- Simple LLM stub (replace with your provider) ---
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://127.0.0.1:11434";
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama3.2:3b";
-
-async function callLLM({ question, context }) {
-  const system = `
-You are an enterprise training instructor.
-
-You MUST rely on the provided CONTEXT for training-related questions.
-If a training-related answer is not in the CONTEXT, say:
-"I don’t have that in the training materials provided."
-
-You MAY respond naturally to simple conversational messages such as greetings, acknowledgements, or closings (for example: "hi", "okay", "thanks") without applying training constraints.
-
-Response guidelines:
-- Keep the answer brief.
-- Short or conversational inputs should receive brief, natural replies.
-- Training or procedural answers must be clear, structured, and actionable.
-- When asked about steps or actions, always prioritize IMMEDIATE safety actions first.
-- Do not reorder steps unless explicitly instructed.
-- Answer ONLY what the question asks.
-- Do not add background unless it directly supports the answer.
-- Do not use symbols, numbering, headings, or labels.
-- Do not include citations, references, or source markers.
-- Use plain, natural spoken language suitable for audio delivery.
-`.trim();
-
-  const prompt = `
-CONTEXT:
-${context}
-
-QUESTION:
-${question}
-`.trim();
-
-
-  const resp = await axios.post(`${OLLAMA_URL}/api/generate`, {
-    model: OLLAMA_MODEL,
-    system,
-    prompt,
-    stream: false,
-    options: {
-      temperature: 0.2,
-      num_ctx: 4096
-    },
+// Aborted when the client goes away before the response is finished (closed
+// tab, Stop button), so the LLM call behind it can be cancelled
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
   });
+  return controller.signal;
+}
 
-  return (resp.data.response || "").trim();
+// --- Shape a Qdrant hit for the client (source cards in the UI) ---
+const SNIPPET_CHARS = 300;
+
+function toCitation(hit) {
+  const p = hit.payload || {};
+  const content = (p.content || "").replace(/\s+/g, " ").trim();
+  return {
+    id: hit.id,
+    score: hit.score,
+    ...(hit.scores && { scores: hit.scores }),
+    source_path: p.source_path || p.doc_id || "unknown",
+    page_number: p.page_number ?? null,
+    page_numbers: p.page_numbers || (p.page_number ? [p.page_number] : []),
+    slide_number: p.slide_number ?? null,
+    section_title: p.section_title ?? null,
+    snippet:
+      content.length > SNIPPET_CHARS
+        ? content.slice(0, SNIPPET_CHARS).trimEnd() + "…"
+        : content,
+  };
 }
 
 app.post("/api/chat", async (req, res) => {
   try {
     const { message } = req.body;
-    const history = normalizeHistory(req.body.history);
+    if (!message || typeof message !== "string") {
+      return res.status(400).json({ error: "message is required" });
+    }
 
-    const retrievalQuery = await rewriteForRetrieval({ message, history });
-    console.log("🔁 Retrieval query:", retrievalQuery);
+    const { session, history, summary, historyStart } = await loadConversation(
+      req.body
+    );
+    if (session === undefined) {
+      return res.status(404).json({ error: "session not found" });
+    }
 
-    const queryVec = await embedQuery(retrievalQuery);
-    const hits = await qdrantSearch(queryVec, 8);
+    const signal = abortOnDisconnect(res);
+    const ctx = await pipeline.run(
+      { message, history, summary, filter: buildScopeFilter(req.body) },
+      { signal }
+    );
+    const {
+      answer,
+      hits,
+      grounding,
+      route,
+      retrievalQuery,
+      cacheHit,
+      timings,
+    } = ctx;
+
+    const citations = hits.map(toCitation);
+    await recordTurn(session, {
+      message,
+      answer,
+      citations,
+      summary: summaryAfter(ctx, historyStart),
+      grounding,
+    });
 
+    res.json({
+      answer,
+      citations,
+      grounding,
+      sessionId: session?.id,
+      meta: {
+        route,
+        retrieval_query: retrievalQuery,
+        cache_hit: cacheHit,
+        timings,
+      },
+    });
+  } catch (err) {
+    if (res.destroyed) return; // client gone, nobody to tell
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const MAX_CHARS_PER_CHUNK = 1200;
-    const context = hits
-      .map((h, idx) => {
-        const p = h.payload || {};
-        const src = `${p.source_path || p.doc_id || "unknown"}${p.page_number ? ` (page ${p.page_number})` : ""
-          }`;
-        const content = (p.content || "").slice(0, MAX_CHARS_PER_CHUNK);
-        return `[#${idx + 1}] ${src}\n${content}`;
-      })
-      .join("\n\n");
 
-    const conversation = history
-      .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
-      .join("\n");
+app.post("/api/sessions", async (req, res) => {
+  try {
+    const session = await sessions.create({ title: req.body?.title });
+    res.status(201).json(session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const answer = await callLLM({
-      question: `${conversation}\nUSER: ${message}`,
-      context,
-    });
+app.get("/api/sessions", async (_req, res) => {
+  try {
+    res.json({ sessions: await sessions.list() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.json({ answer, citations: hits });
+app.get("/api/sessions/:id", async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: "session not found" });
+    res.json(session);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get("/api/courses", async (_req, res) => {
+  try {
+    res.json({ courses: await listCourses() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 app.get("/health", async (_req, res) => res.json({ ok: true }));
 
@@ -188,158 +289,645 @@ app.get("/debug/ollama", async (_req, res) => {
   }
 });
 
-app.post("/api/chat/stream", async (req, res) => {
+// Spoken output for one streamed answer: each sentence is synthesized and
+// sent as `sentence` (text and timeline position) followed by `audio`
+// (base64 WAV) and, unless AVATAR_PROVIDER=none, an `avatar` command for the
+// same sentence. An avatar that speaks the text itself (HeyGen) gets no
+// local audio, or the client would play the answer twice; sentences are
+// then only timed. Without a vendor session the answer is spoken locally
+// with no avatar. Without `speak` every method is a no-op.
+function createVoiceOutput(sse, { speak, avatarSessionId }) {
+  if (!speak) return { push() {}, async finish() {}, async cancel() {} };
+
+  const avatar =
+    avatarEnabled() && (avatarSessionId || !avatarNeedsSession())
+      ? createAvatarDriver({ sessionId: avatarSessionId })
+      : null;
+  let spokenMs = 0;
+  const speech = createSpeechStream(
+    async ({ audio, ...sentence }) => {
+      sse.send("sentence", sentence);
+      if (audio) {
+        sse.send("audio", {
+          index: sentence.index,
+          format: "wav",
+          data: audio.toString("base64"),
+        });
+      }
+      if (avatar) sse.send("avatar", await avatar.speak(sentence));
+      spokenMs = sentence.start_ms + sentence.duration_ms;
+    },
+    { timingOnly: Boolean(avatar?.voiced) }
+  );
+
+  return {
+    push: (text) => speech.push(text),
+    // Waits for the last sentence, then the avatar goes idle
+    async finish(signal) {
+      await speech.finish();
+      signal.throwIfAborted();
+      if (avatar) sse.send("avatar", await avatar.idle(spokenMs));
+    },
+    async cancel() {
+      speech.cancel();
+      if (avatar) {
+        sse.send(
+          "avatar",
+          await avatar.interrupt().catch(() => ({ type: "interrupt" }))
+        );
+      }
+    },
+  };
+}
+
+// One streamed question/answer turn, shared by the chat and walkthrough
+// routes. Loads the conversation, opens the event stream and runs
+// `answer(turn)`, which sends `meta`, calls turn.cite(citations) once,
+// streams a pipeline answer with turn.generate(ctx) or fixed text with
+// turn.emit(text), and returns { answer, timings }. Fields put in
+// turn.extra are stored with the assistant message, also when it is
+// interrupted. Speech, saving the turn and interruption by the client are
+// handled here.
+async function streamTurn(req, res, { speak = false } = {}, answer) {
+  const { message } = req.body;
+  if (!message || typeof message !== "string") {
+    return res.status(400).json({ error: "message is required" });
+  }
+
+  let loaded;
   try {
-    const { message } = req.body;
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({ error: "message is required" });
+    loaded = await loadConversation(req.body);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  const { session, history, summary, historyStart } = loaded;
+  if (session === undefined) {
+    return res.status(404).json({ error: "session not found" });
+  }
+
+  const sse = openSSE(res);
+  const signal = abortOnDisconnect(res);
+  const startedAt = Date.now();
+  let citations = [];
+  let partial = ""; // answer text sent so far
+  let voice = null;
+  let unspoken = null; // answer text held back from speech, see generate()
+
+  const turn = {
+    message,
+    history,
+    summary,
+    signal,
+    sse,
+    extra: {},
+    // After pipeline.prepare(): keep the running summary if it changed
+    prepared(ctx) {
+      turn.extra.summary = summaryAfter(ctx, historyStart);
+    },
+    // Sources go out before the answer so the UI can show them while it streams
+    cite(list) {
+      citations = list;
+      sse.send("citations", { citations });
+      voice = createVoiceOutput(sse, {
+        speak,
+        avatarSessionId: req.body.avatarSessionId,
+      });
+    },
+    // Token text goes out verbatim inside JSON
+    emit(text) {
+      partial += text;
+      sse.send("token", { text });
+      if (unspoken != null) unspoken += text;
+      else voice?.push(text);
+    },
+    // Streams the answer (pipeline.generate), then checks it against its
+    // sources and sends the result. Returns the answer to keep, which is
+    // the refusal when the check refused it: the streamed text is already
+    // out, so the client replaces it. With GROUNDING_MODE=refuse speech
+    // waits for the check, so a refused answer is never spoken and the
+    // refusal is spoken instead.
+    async generate(ctx) {
+      unspoken = GROUNDING_MODE === "refuse" ? "" : null;
+      ctx.answer = await pipeline.generate(ctx, { onToken: turn.emit, signal });
+      const grounding = await pipeline.verify(ctx, { signal });
+      if (grounding) {
+        turn.extra.grounding = grounding;
+        sse.send("grounding", { ...grounding, answer: ctx.answer });
+      }
+      if (unspoken != null) {
+        voice?.push(grounding?.action === "refused" ? ctx.answer : unspoken);
+        unspoken = null;
+      }
+      return ctx.answer;
+    },
+  };
+
+  try {
+    const result = await answer(turn);
+    await voice?.finish(signal);
+
+    const timings = { ...result.timings, total_ms: Date.now() - startedAt };
+    try {
+      await recordTurn(session, {
+        message,
+        answer: result.answer,
+        citations,
+        ...turn.extra,
+      });
+    } catch (err) {
+      console.error("Failed to save session turn", err);
+    }
+    sse.send("done", { timings, sessionId: session?.id });
+  } catch (err) {
+    await voice?.cancel();
+
+    if (signal.aborted) {
+      // Stopped by the learner: keep what they heard so far
+      console.log("⏹️  Answer interrupted after", partial.length, "chars");
+      try {
+        await recordTurn(session, {
+          message,
+          answer: partial,
+          citations,
+          interrupted: true,
+          ...turn.extra,
+        });
+      } catch (saveErr) {
+        console.error("Failed to save session turn", saveErr);
+      }
+    } else {
+      console.error(err);
+      sse.send("error", { message: err.message });
     }
+  } finally {
+    sse.close();
+  }
+}
 
-    const history = normalizeHistory(req.body.history);
-
-    // SSE headers
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-    res.flushHeaders();
-
-    // 0) Rewrite follow-up into standalone query for better retrieval
-    const retrievalQuery = await rewriteForRetrieval({ message, history });
-    console.log("🔁 Retrieval query (stream):", retrievalQuery);
-
-    // 1) Embed rewritten query
-    const queryVec = await embedQuery(retrievalQuery);
-
-    // 2) Retrieve context from Qdrant
-    const hits = await qdrantSearch(queryVec, 5);
-
-    const MAX_CHARS_PER_CHUNK = 1200;
-    const context = hits
-      .map((h, idx) => {
-        const p = h.payload || {};
-        const src = `${p.source_path || p.doc_id || "unknown"}${p.page_number ? ` (page ${p.page_number})` : ""
-          }`;
-        const content = (p.content || "").slice(0, MAX_CHARS_PER_CHUNK);
-        return `[#${idx + 1}] ${src}\n${content}`;
-      })
-      .join("\n\n");
-
-    // 3) Build conversation string for memory
-    const conversation = history
-      .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
-      .join("\n");
-
-    // 4) Build prompt for Ollama
-    // Use YOUR callLLM rules, but streaming version
-    const system = `
-You are an enterprise training instructor.
-
-You MUST rely on the provided CONTEXT for training-related questions.
-If a training-related answer is not in the CONTEXT, say:
-"I don’t have that in the training materials provided."
-
-You MAY respond naturally to simple conversational messages such as greetings, acknowledgements, or closings (for example: "hi", "okay", "thanks") without applying training constraints.
-
-Response guidelines:
-- Keep the answer brief.
-- Short or conversational inputs should receive brief, natural replies.
-- Training or procedural answers must be clear, structured, and actionable.
-- When asked about steps or actions, always prioritize IMMEDIATE safety actions first.
-- Do not reorder steps unless explicitly instructed.
-- Answer ONLY what the question asks.
-- Do not add background unless it directly supports the answer.
-- Do not use symbols, numbering, headings, or labels.
-- Do not include citations, references, or source markers.
-- Use plain, natural spoken language suitable for audio delivery.
-`.trim();
-
-    const prompt = `
-CONTEXT:
-${context}
-
-CONVERSATION SO FAR:
-${conversation}
-
-USER:
-${message}
-`.trim();
-
-    // 5) Stream from Ollama -> convert to SSE
-    const ollamaResp = await axios.post(
-      `${OLLAMA_URL}/api/generate`,
-      {
-        model: OLLAMA_MODEL,
-        system,
-        prompt,
-        stream: true,
-        options: { temperature: 0.2, num_ctx: 4096 },
-      },
-      { responseType: "stream" }
-    );
+// Streaming chat; with `speak` the answer is also spoken (see
+// createVoiceOutput)
+function streamChat(req, res, opts) {
+  return streamTurn(req, res, opts, async (turn) => {
+    const ctx = await pipeline.prepare({
+      message: turn.message,
+      history: turn.history,
+      summary: turn.summary,
+      filter: buildScopeFilter(req.body),
+    });
+    turn.prepared(ctx);
+
+    turn.sse.send("meta", {
+      protocol: SSE_PROTOCOL_VERSION,
+      route: ctx.route,
+      retrieval_query: ctx.retrievalQuery,
+      cache_hit: ctx.cacheHit,
+      timings: ctx.timings,
+    });
+    turn.cite(ctx.hits.map(toCitation));
 
-    // IMPORTANT: Ollama streams NDJSON (one JSON per line)
-    // Lines can arrive fragmented -> buffer them
-    let buf = "";
+    const answer = await turn.generate(ctx);
+    await pipeline.remember(ctx);
+    return { answer, timings: ctx.timings };
+  });
+}
 
-    ollamaResp.data.on("data", (chunk) => {
-      buf += chunk.toString("utf8");
+app.post("/api/chat/stream", (req, res) => streamChat(req, res));
+
+// Same as /api/chat/stream plus sentence-by-sentence speech audio
+app.post("/api/chat/speak", (req, res) =>
+  streamChat(req, res, { speak: true })
+);
+
+//
+// GUIDED WALKTHROUGH
+//
+// Step-by-step presentation of a stored procedure (see walkthrough.js). The
+// body is a chat body plus, once one is running, `walkthrough: {
+// procedure_id, step }` as received in the last `walkthrough` event (step
+// 1-based); without it the message (or `procedure_id`) picks the procedure.
+// Every reply sends a `walkthrough` event with the progress, and the
+// progress is stored with the assistant turn.
+//
+function procedureCitation(procedure, step) {
+  const shown = step == null ? procedure.steps : [procedure.steps[step]];
+  return {
+    id: `procedure:${procedure.id}`,
+    source_path: procedure.source_path,
+    page_number: procedure.page_numbers[0] ?? null,
+    page_numbers: procedure.page_numbers,
+    slide_number: procedure.slide_number ?? null,
+    section_title: procedure.title,
+    snippet: shown.map((s) => `${s.number}. ${s.text}`).join(" "),
+  };
+}
 
-      const lines = buf.split("\n");
-      buf = lines.pop() || "";
+function streamWalkthrough(req, res, opts) {
+  const state = req.body.walkthrough;
+  let procedure = null;
+  if (state) {
+    procedure = getProcedure(state.procedure_id);
+    if (!procedure) {
+      return res.status(404).json({ error: "procedure not found" });
+    }
+    if (
+      !Number.isInteger(state.step) ||
+      state.step < 1 ||
+      state.step > procedure.steps.length
+    ) {
+      return res.status(400).json({ error: "walkthrough.step out of range" });
+    }
+  } else if (req.body.procedure_id) {
+    procedure = getProcedure(req.body.procedure_id);
+    if (!procedure) {
+      return res.status(404).json({ error: "procedure not found" });
+    }
+  }
 
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) continue;
+  const current = state ? state.step - 1 : null; // index into steps
+
+  return streamTurn(req, res, opts, async (turn) => {
+    const command = state ? parseCommand(turn.message) : null;
+    let ctx = null;
+    let step = current; // index after this turn; null = finished
+    let text = null; // fixed reply, when no LLM answer is needed
+
+    if (!state) {
+      if (!procedure) {
+        ctx = await pipeline.prepare({
+          message: turn.message,
+          history: turn.history,
+          summary: turn.summary,
+          filter: buildScopeFilter(req.body),
+        });
+        turn.prepared(ctx);
+        procedure = findProcedure({
+          message: turn.message,
+          hits: ctx.hits,
+          scope: req.body,
+        });
+      }
+      ({ step, text } = procedure
+        ? startWalkthrough(procedure)
+        : { step: null, text: NO_PROCEDURE });
+    } else if (command) {
+      ({ step, text } = applyCommand(procedure, current, command));
+    } else {
+      // A question about the current step
+      ctx = await pipeline.prepare({
+        message: turn.message,
+        history: turn.history,
+        summary: turn.summary,
+        filter: buildScopeFilter(req.body),
+        pinned: stepContext(procedure, current),
+      });
+      turn.prepared(ctx);
+    }
 
-        let json;
-        try {
-          json = JSON.parse(trimmed);
-        } catch {
-          // ignore broken partial line (should be rare since we buffer)
-          continue;
-        }
+    const progress = procedure ? describeWalkthrough(procedure, step) : null;
+    turn.extra.walkthrough = progress;
+    turn.sse.send("meta", {
+      protocol: SSE_PROTOCOL_VERSION,
+      ...(ctx && {
+        route: ctx.route,
+        retrieval_query: ctx.retrievalQuery,
+        cache_hit: ctx.cacheHit,
+        timings: ctx.timings,
+      }),
+    });
+    turn.sse.send("walkthrough", { walkthrough: progress });
 
-        if (json.response) {
-          // Send as SSE data chunks
-          res.write(`data: ${json.response}\n\n`);
-        }
+    if (text != null) {
+      turn.cite(procedure ? [procedureCitation(procedure, step)] : []);
+      turn.emit(text);
+      return { answer: text, timings: ctx?.timings || {} };
+    }
+
+    turn.cite([
+      procedureCitation(procedure, current),
+      ...ctx.hits.map(toCitation),
+    ]);
+    let answer = await turn.generate(ctx);
+    const resume = `\n\n${resumeText(procedure, current)}`;
+    turn.emit(resume);
+    answer += resume;
+    return { answer, timings: ctx.timings };
+  });
+}
 
-        if (json.done) {
-          // Optional: send citations once at end as a single SSE data message
-          // res.write(`event: citations\ndata: ${JSON.stringify(hits)}\n\n`);
+app.post("/api/walkthrough/stream", (req, res) => streamWalkthrough(req, res));
 
-          res.write(`data: done\n\n`);
-          res.end();
-        }
+app.post("/api/walkthrough/speak", (req, res) =>
+  streamWalkthrough(req, res, { speak: true })
+);
+
+// Procedures found at ingestion, optionally scoped like chat requests
+// (?course_id=&module_id=)
+app.get("/api/procedures", async (req, res) => {
+  try {
+    const procedures = listProcedures(req.query).map(({ steps, ...p }) => ({
+      ...p,
+      total: steps.length,
+    }));
+    res.json({ procedures });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/procedures/:id", async (req, res) => {
+  try {
+    const procedure = getProcedure(req.params.id);
+    if (!procedure) {
+      return res.status(404).json({ error: "procedure not found" });
+    }
+    res.json(procedure);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Push-to-talk: one recorded question as a 16 kHz mono WAV body. The client
+// sends the returned text to the chat routes like a typed question.
+app.post(
+  "/api/transcribe",
+  express.raw({
+    type: ["audio/wav", "audio/wave", "audio/x-wav"],
+    limit: "10mb",
+  }),
+  async (req, res) => {
+    try {
+      if (!isWav(req.body)) {
+        return res.status(400).json({ error: "expected a WAV audio body" });
       }
-    });
+      res.json(await transcribe(req.body));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
 
-    ollamaResp.data.on("error", (err) => {
-      console.error("Ollama stream error", err);
-      res.write(`event: error\ndata: Ollama stream error\n\n`);
-      res.end();
-    });
+// Vendor avatar session (HeyGen): WebRTC details for the client's video
+// player. With the local avatar this only reports the provider.
+app.post("/api/avatar/session", async (_req, res) => {
+  try {
+    res.json(await startAvatarSession());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/avatar/session/:id", async (req, res) => {
+  try {
+    await stopAvatarSession(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+//
+// DOCUMENT MANAGEMENT
+//
+// Uploads land in data/<course>/<module>/<file>, the same layout the
+// ingest CLI reads, and every change to Qdrant runs as a background job.
+//
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res
+      .status(403)
+      .json({ error: "admin routes are off; set ADMIN_TOKEN on the server" });
+  }
+  if (req.get("authorization") === `Bearer ${ADMIN_TOKEN}`) return next();
+  res.status(401).json({ error: "admin token required" });
+}
+
+// Course and module become folder names
+const FOLDER_NAME_RE = /^[\w-][\w.-]*$/;
+
+function enqueueIngest(type, sourcePath) {
+  return jobs.enqueue(type, sourcePath, (report) =>
+    ingestDocument(filePathFor(sourcePath), { onProgress: report })
+  );
+}
+
+function findDocument(sourcePath) {
+  return listDocuments().find((d) => d.source_path === sourcePath);
+}
+
+app.get("/api/documents", requireAdmin, async (_req, res) => {
+  try {
+    res.json({ documents: listDocuments() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    ollamaResp.data.on("end", () => {
-      // If Ollama ends unexpectedly, still close SSE cleanly
-      if (!res.writableEnded) {
-        res.write(`data: done\n\n`);
-        res.end();
+// Raw file body; ?course_id=&module_id=&filename=
+app.post(
+  "/api/documents",
+  requireAdmin,
+  express.raw({ type: () => true, limit: "50mb" }),
+  async (req, res) => {
+    try {
+      const { course_id, module_id } = req.query;
+      const filename = path.basename(String(req.query.filename || ""));
+      const ext = path.extname(filename).toLowerCase();
+
+      if (![course_id, module_id].every((v) => FOLDER_NAME_RE.test(v || ""))) {
+        return res.status(400).json({
+          error: "course_id and module_id may only use letters, digits, . _ -",
+        });
+      }
+      if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+        return res.status(400).json({
+          error: `filename must end in ${SUPPORTED_EXTENSIONS.join(", ")}`,
+        });
       }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: "file is empty" });
+      }
+
+      const sourcePath = `${course_id}/${module_id}/${filename}`;
+      const filePath = filePathFor(sourcePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, req.body);
+
+      const job = enqueueIngest("ingest", sourcePath);
+      res.status(202).json({ source_path: sourcePath, job });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+app.post("/api/documents/reingest", requireAdmin, async (req, res) => {
+  try {
+    const doc = findDocument(req.body?.source_path);
+    if (!doc || doc.status === "missing") {
+      return res.status(404).json({ error: "document not found" });
+    }
+    res.status(202).json({ job: enqueueIngest("reingest", doc.source_path) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?source_path=; removes the file and its Qdrant points
+app.delete("/api/documents", requireAdmin, async (req, res) => {
+  try {
+    const doc = findDocument(req.query.source_path);
+    if (!doc) return res.status(404).json({ error: "document not found" });
+    const job = jobs.enqueue("delete", doc.source_path, () =>
+      removeDocument(doc.source_path)
+    );
+    res.status(202).json({ job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/jobs", requireAdmin, (_req, res) => {
+  res.json({ jobs: jobs.list() });
+});
+
+app.get("/api/jobs/:id", requireAdmin, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "job not found" });
+  res.json(job);
+});
+
+//
+// KNOWLEDGE CHECKS
+//
+// Quizzes generated from a course / module and graded on the server (see
+// quiz.js). Learners only ever get the public quiz; answers, rubrics and
+// source passages come back with the graded attempt.
+//
+const LEARNER_ID_MAX = 100;
+
+app.post("/api/quizzes", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const scope = {
+      course_id: typeof body.course_id === "string" ? body.course_id : null,
+      module_id: typeof body.module_id === "string" ? body.module_id : null,
+    };
+    const count = Math.min(
+      Math.max(parseInt(body.count ?? QUIZ_QUESTIONS, 10) || 0, 1),
+      MAX_QUIZ_QUESTIONS
+    );
+    const types = Array.isArray(body.types)
+      ? QUESTION_TYPES.filter((t) => body.types.includes(t))
+      : QUESTION_TYPES;
+    if (types.length === 0) {
+      return res
+        .status(400)
+        .json({ error: `types must include ${QUESTION_TYPES.join(" or ")}` });
+    }
+
+    const quiz = await generateQuiz({
+      scope,
+      filter: buildScopeFilter(scope),
+      count,
+      types,
+      signal: abortOnDisconnect(res),
     });
+    if (quiz.questions.length === 0) {
+      return res.status(422).json({
+        error: "couldn't write any questions from the selected materials",
+      });
+    }
+
+    await quizzes.saveQuiz(quiz);
+    res.status(201).json(publicQuiz(quiz));
   } catch (err) {
-    console.error(err);
-    try {
-      res.write(`event: error\ndata: ${err.message}\n\n`);
-    } finally {
-      res.end();
+    if (res.destroyed) return; // client gone, nobody to tell
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?course_id=&module_id=
+app.get("/api/quizzes", async (req, res) => {
+  try {
+    res.json({ quizzes: await quizzes.listQuizzes(req.query) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/quizzes/:id", async (req, res) => {
+  try {
+    const quiz = await quizzes.getQuiz(req.params.id);
+    if (!quiz) return res.status(404).json({ error: "quiz not found" });
+    res.json(publicQuiz(quiz));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { learner_id, answers: [{ question_id, choice_index? , text? }] }
+app.post("/api/quizzes/:id/attempts", async (req, res) => {
+  try {
+    const { learner_id, answers } = req.body || {};
+    if (
+      typeof learner_id !== "string" ||
+      !learner_id.trim() ||
+      learner_id.length > LEARNER_ID_MAX
+    ) {
+      return res.status(400).json({
+        error: `learner_id is required (at most ${LEARNER_ID_MAX} characters)`,
+      });
+    }
+    if (answers != null && !Array.isArray(answers)) {
+      return res.status(400).json({ error: "answers must be a list" });
     }
+
+    const quiz = await quizzes.getQuiz(req.params.id);
+    if (!quiz) return res.status(404).json({ error: "quiz not found" });
+
+    const attempt = await gradeAttempt(
+      quiz,
+      { learner_id: learner_id.trim(), answers: answers || [] },
+      { signal: abortOnDisconnect(res) }
+    );
+    await quizzes.saveAttempt(attempt);
+    res.status(201).json(attempt);
+  } catch (err) {
+    if (res.destroyed) return;
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A learner's scores, newest first; without the graded answers, which
+// would give away the answer key (see attemptSummary)
+app.get("/api/learners/:learnerId/attempts", async (req, res) => {
+  try {
+    const attempts = await quizzes.listAttempts({
+      learner_id: req.params.learnerId,
+    });
+    res.json({ attempts: attempts.map(attemptSummary) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Everyone's results for one quiz
+app.get("/api/quizzes/:id/attempts", requireAdmin, async (req, res) => {
+  try {
+    const attempts = await quizzes.listAttempts({ quiz_id: req.params.id });
+    res.json({ attempts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
 
 
 console.log("🔥 server.js loaded at", new Date().toISOString());
-console.log("Using Ollama model:", OLLAMA_MODEL);
+const { provider, models } = describeLLM();
+console.log(`Using LLM provider ${provider}:`, models);
+if (!ADMIN_TOKEN) {
+  console.warn("⚠️  ADMIN_TOKEN not set, document and job routes are off");
+}
 
 app.listen(3001, () => {
   console.log("✅ API running on http://localhost:3001");
@@ -0,0 +1,219 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+//
+// CONVERSATION SESSIONS
+//
+// Server-side chat history so a conversation survives reloads and there is
+// a record of what learners asked. Storage is pluggable via SESSION_STORE:
+//   json   - one JSON file (SESSIONS_PATH), default, no extra dependencies
+//   sqlite - SQLite database (SESSIONS_DB), needs better-sqlite3
+//
+// Every store has the same async interface:
+//   create({ title }) -> session
+//   get(id) -> session with messages, or null
+//   list() -> [{ id, title, created_at, updated_at, message_count }]
+//   append(id, messages) -> session, or null if the id is unknown
+//
+// A message is { role, content, created_at, ...extra } where extra holds
+// things like citations for assistant turns.
+//
+const SESSION_STORE = (process.env.SESSION_STORE || "json").toLowerCase();
+const SESSIONS_PATH =
+  process.env.SESSIONS_PATH || path.join(process.cwd(), "sessions.json");
+const SESSIONS_DB =
+  process.env.SESSIONS_DB || path.join(process.cwd(), "sessions.db");
+
+const TITLE_CHARS = 60;
+
+function newSession({ title } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    title: title || "New conversation",
+    created_at: now,
+    updated_at: now,
+    messages: [],
+  };
+}
+
+function summarize(session) {
+  const { messages, ...rest } = session;
+  return { ...rest, message_count: messages.length };
+}
+
+// Untitled sessions take their title from the first question
+function titleFrom(session, messages) {
+  if (session.title !== "New conversation") return session.title;
+  const firstUser = messages.find((m) => m.role === "user");
+  if (!firstUser) return session.title;
+  const t = firstUser.content.replace(/\s+/g, " ").trim();
+  return t.length > TITLE_CHARS ? t.slice(0, TITLE_CHARS - 1) + "…" : t;
+}
+
+//
+// JSON file
+//
+function createJsonStore(filePath) {
+  // Null prototype: ids come from URLs, and "__proto__" must not resolve
+  let sessions = Object.create(null);
+  if (fs.existsSync(filePath)) {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8")).sessions;
+    sessions = Object.assign(Object.create(null), saved);
+  }
+
+  // Write-then-rename so a crash never leaves a half-written file
+  function persist() {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, sessions }, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  return {
+    name: "json",
+
+    async create(opts) {
+      const s = newSession(opts);
+      sessions[s.id] = s;
+      persist();
+      return s;
+    },
+
+    async get(id) {
+      return sessions[id] || null;
+    },
+
+    async list() {
+      return Object.values(sessions)
+        .map(summarize)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    },
+
+    async append(id, messages) {
+      const s = sessions[id];
+      if (!s) return null;
+      s.title = titleFrom(s, messages);
+      s.messages.push(...messages);
+      s.updated_at = new Date().toISOString();
+      persist();
+      return s;
+    },
+  };
+}
+
+//
+// SQLite
+//
+async function createSqliteStore(dbPath) {
+  let Database;
+  try {
+    Database = (await import("better-sqlite3")).default;
+  } catch {
+    throw new Error(
+      "SESSION_STORE=sqlite needs better-sqlite3 (npm install better-sqlite3)"
+    );
+  }
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+      session_id TEXT NOT NULL REFERENCES sessions(id),
+      seq INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      extra TEXT,
+      PRIMARY KEY (session_id, seq)
+    );
+  `);
+
+  const rowToMessage = (r) => ({
+    role: r.role,
+    content: r.content,
+    created_at: r.created_at,
+    ...(r.extra ? JSON.parse(r.extra) : {}),
+  });
+
+  const insertMessages = db.transaction((s, messages) => {
+    const { n } = db
+      .prepare("SELECT COUNT(*) AS n FROM messages WHERE session_id = ?")
+      .get(s.id);
+    const insert = db.prepare(
+      "INSERT INTO messages (session_id, seq, role, content, created_at, extra) VALUES (?, ?, ?, ?, ?, ?)"
+    );
+    messages.forEach((m, i) => {
+      const { role, content, created_at, ...extra } = m;
+      insert.run(
+        s.id,
+        n + i,
+        role,
+        content,
+        created_at,
+        Object.keys(extra).length ? JSON.stringify(extra) : null
+      );
+    });
+    db.prepare(
+      "UPDATE sessions SET title = ?, updated_at = ? WHERE id = ?"
+    ).run(s.title, s.updated_at, s.id);
+  });
+
+  async function get(id) {
+    const row = db.prepare("SELECT * FROM sessions WHERE id = ?").get(id);
+    if (!row) return null;
+    const messages = db
+      .prepare("SELECT * FROM messages WHERE session_id = ? ORDER BY seq")
+      .all(id)
+      .map(rowToMessage);
+    return { ...row, messages };
+  }
+
+  return {
+    name: "sqlite",
+
+    async create(opts) {
+      const s = newSession(opts);
+      db.prepare(
+        "INSERT INTO sessions (id, title, created_at, updated_at) VALUES (?, ?, ?, ?)"
+      ).run(s.id, s.title, s.created_at, s.updated_at);
+      return s;
+    },
+
+    get,
+
+    async list() {
+      return db
+        .prepare(
+          `SELECT s.*, COUNT(m.seq) AS message_count
+           FROM sessions s LEFT JOIN messages m ON m.session_id = s.id
+           GROUP BY s.id ORDER BY s.updated_at DESC`
+        )
+        .all();
+    },
+
+    async append(id, messages) {
+      const s = await get(id);
+      if (!s) return null;
+      s.title = titleFrom(s, messages);
+      s.updated_at = new Date().toISOString();
+      insertMessages(s, messages);
+      s.messages.push(...messages);
+      return s;
+    },
+  };
+}
+
+export async function createSessionStore() {
+  if (SESSION_STORE === "json") return createJsonStore(SESSIONS_PATH);
+  if (SESSION_STORE === "sqlite") return createSqliteStore(SESSIONS_DB);
+  throw new Error(
+    `Unknown SESSION_STORE "${SESSION_STORE}" (expected json, sqlite)`
+  );
+}
@@ -0,0 +1,50 @@
+//
+// SSE PROTOCOL
+//
+// Every event is `id: <n>\nevent: <name>\ndata: <json>\n\n`. Payloads are
+// always JSON so token text can carry newlines and any whitespace without
+// breaking framing. Event names (protocol v1):
+//   meta      { protocol, route: { type, method }, retrieval_query,
+//               cache_hit: { id, query, similarity } | null, timings };
+//               retrieval_query is null when the route skipped retrieval
+//   walkthrough { walkthrough: { procedure_id, title, step, total, active }
+//                 | null }                            (/api/walkthrough/*)
+//   citations { citations: [...] }
+//   token     { text }
+//   grounding { method, score, low_confidence, action, sentences, answer }
+//               after the last token; action "refused" means the streamed
+//               text is to be replaced by `answer`
+//   sentence  { index, text, start_ms, duration_ms }   (speak routes)
+//   audio     { index, format: "wav", data: base64 }   (speak routes, not
+//               with an avatar that speaks itself)
+//   avatar    { type: speak | interrupt | idle, ... }  (speak routes)
+//   error     { message }
+//   done      { timings, sessionId }
+// Bump SSE_PROTOCOL_VERSION on any incompatible change.
+//
+export const SSE_PROTOCOL_VERSION = 1;
+
+export function openSSE(res) {
+  let nextId = 1;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Chat-Protocol", String(SSE_PROTOCOL_VERSION));
+  res.flushHeaders();
+
+  return {
+    send(event, payload) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(
+        `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`
+      );
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+    get closed() {
+      return res.writableEnded;
+    },
+  };
+}
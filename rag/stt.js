@@ -0,0 +1,131 @@
+import "dotenv/config";
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { wavDurationMs } from "./tts.js";
+
+//
+// SPEECH-TO-TEXT
+//
+// Transcribes one recorded question. Input is a WAV buffer, 16 kHz mono
+// 16-bit (the React app converts its recording before upload, so no ffmpeg
+// is needed here). Pick a backend with STT_PROVIDER:
+//   whisper - whisper.cpp CLI, local (STT_WHISPER_MODEL = ggml model file)
+//   stub    - always returns STT_STUB_TEXT; for working on the voice UI
+//             without a speech model (default)
+//
+// Every provider exposes the same shape:
+//   { name, transcribe(wav) -> { text } }
+//
+const STT_PROVIDER = (process.env.STT_PROVIDER || "stub").toLowerCase();
+
+const STT_WHISPER_BIN = process.env.STT_WHISPER_BIN || "whisper-cli";
+const STT_WHISPER_MODEL = process.env.STT_WHISPER_MODEL;
+const STT_LANGUAGE = process.env.STT_LANGUAGE || "en";
+const STT_STUB_TEXT =
+  process.env.STT_STUB_TEXT || "What PPE is required in the warehouse?";
+
+// Markers whisper prints for silence or noise instead of words
+const NON_SPEECH_RE =
+  /\[(BLANK_AUDIO|MUSIC|NOISE|SILENCE)\]|\((music|noise)\)/gi;
+
+function run(bin, args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      bin,
+      args,
+      { maxBuffer: 4 * 1024 * 1024 },
+      (err, stdout, stderr) => {
+        if (err?.code === "ENOENT") {
+          reject(new Error(`${bin} could not be started: not found`));
+        } else if (err) {
+          reject(new Error(`${bin} failed: ${(stderr || err.message).trim()}`));
+        } else {
+          resolve(stdout);
+        }
+      }
+    );
+  });
+}
+
+//
+// Backends
+//
+function createWhisperStt() {
+  if (!STT_WHISPER_MODEL) {
+    throw new Error("STT_PROVIDER=whisper needs STT_WHISPER_MODEL (ggml file)");
+  }
+  return {
+    name: "whisper",
+    async transcribe(wav) {
+      // whisper.cpp only reads audio from a file
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), "stt-"));
+      const file = path.join(dir, "question.wav");
+      try {
+        await fs.writeFile(file, wav);
+        const out = await run(STT_WHISPER_BIN, [
+          "-m",
+          STT_WHISPER_MODEL,
+          "-f",
+          file,
+          "-l",
+          STT_LANGUAGE,
+          "--no-timestamps",
+          "--no-prints",
+        ]);
+        const text = out.replace(NON_SPEECH_RE, " ").replace(/\s+/g, " ");
+        return { text: text.trim() };
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+function createStubStt() {
+  return {
+    name: "stub",
+    async transcribe() {
+      return { text: STT_STUB_TEXT };
+    },
+  };
+}
+
+const FACTORIES = {
+  whisper: createWhisperStt,
+  stub: createStubStt,
+};
+
+let stt = null;
+
+export function getStt() {
+  if (!stt) {
+    const factory = FACTORIES[STT_PROVIDER];
+    if (!factory) {
+      throw new Error(
+        `Unknown STT_PROVIDER "${STT_PROVIDER}" (expected ${Object.keys(
+          FACTORIES
+        ).join(", ")})`
+      );
+    }
+    stt = factory();
+  }
+  return stt;
+}
+
+export function isWav(buffer) {
+  return (
+    Buffer.isBuffer(buffer) &&
+    buffer.length > 44 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WAVE"
+  );
+}
+
+// -> { text, duration_ms, provider }
+export async function transcribe(wav) {
+  const engine = getStt();
+  const { text } = await engine.transcribe(wav);
+  return { text, duration_ms: wavDurationMs(wav), provider: engine.name };
+}
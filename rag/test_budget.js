@@ -0,0 +1,99 @@
+// Checks for the prompt budget: chunks cut to the query, old turns rolled
+// into the summary, and the refusal when no chunk fits. Runs the pipeline
+// on the mock LLM with fixed search results.
+// Run from rag/: node --test test_budget.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Read when the modules load, so set before importing them
+process.env.LLM_PROVIDER = "mock";
+delete process.env.LLM_MOCK_REPLY;
+
+const { createRagPipeline, NO_ANSWER } = await import("./pipeline.js");
+const { getLLM } = await import("./llm.js");
+const { RAG_ANSWER_TOKENS, countTokens, fitChunks, fitHistory } = await import(
+  "./budget.js"
+);
+
+const filler = Array.from(
+  { length: 40 },
+  (_, i) => `Paragraph ${i} covers general housekeeping in the workshop area.`
+).join(" ");
+const hit = (id) => ({
+  id,
+  score: 1,
+  payload: {
+    source_path: "safety/lockout/lockout.md",
+    content: `${filler} Always lock the breaker before servicing. ${filler}`,
+  },
+});
+const HITS = ["c1", "c2", "c3", "c4", "c5"].map(hit);
+const MESSAGE = "Which breaker do I lock before servicing?";
+
+const steps = {
+  system: "Answer from the context.",
+  embed: async () => [1, 0, 0],
+  retrieve: async () => HITS,
+  verify: async () => null,
+};
+
+test("fitChunks: long chunks are cut to the sentences that match", () => {
+  const fitted = fitChunks(HITS.slice(0, 2), {
+    query: MESSAGE,
+    maxTokens: 300,
+  });
+
+  assert.equal(fitted.length, 2);
+  for (const h of fitted) {
+    assert.ok(h.excerpt.length < h.payload.content.length);
+    assert.match(h.excerpt, /lock the breaker/);
+  }
+  assert.ok(countTokens(fitted.map((h) => h.excerpt).join("\n")) <= 300);
+});
+
+test("fitHistory: the oldest turns are summarized, whole", async () => {
+  const history = Array.from({ length: 10 }, (_, i) => ({
+    role: i % 2 === 0 ? "user" : "assistant",
+    content: `${i} ${filler.slice(0, 400)}`,
+  }));
+  const fitted = await fitHistory({
+    history,
+    summary: null,
+    maxTokens: 600,
+    summarize: async ({ messages }) => `${messages.length} earlier messages`,
+  });
+
+  assert.ok(fitted.summarized > 0);
+  assert.equal(fitted.summarized % 2, 0);
+  assert.equal(fitted.summary, `${fitted.summarized} earlier messages`);
+  assert.equal(fitted.history[0].role, "user");
+  assert.deepEqual(fitted.history, history.slice(fitted.summarized));
+});
+
+test("pipeline: the lowest-ranked hits are dropped to fit the window", async () => {
+  const pipeline = createRagPipeline({
+    ...steps,
+    contextTokens: RAG_ANSWER_TOKENS + 300,
+  });
+  const ctx = await pipeline.prepare({ message: MESSAGE });
+
+  assert.ok(ctx.hits.length > 0 && ctx.hits.length < HITS.length);
+  assert.deepEqual(
+    ctx.hits.map((h) => h.id),
+    HITS.slice(0, ctx.hits.length).map((h) => h.id)
+  );
+  assert.equal(ctx.answer, undefined);
+});
+
+test("pipeline: refuses without an LLM call when no chunk fits", async () => {
+  const pipeline = createRagPipeline({
+    ...steps,
+    contextTokens: RAG_ANSWER_TOKENS,
+  });
+  const before = getLLM().calls.length;
+  const ctx = await pipeline.run({ message: MESSAGE });
+
+  assert.deepEqual(ctx.hits, []);
+  assert.equal(ctx.answer, NO_ANSWER);
+  assert.equal(getLLM().calls.length - before, 0);
+});
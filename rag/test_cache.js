@@ -0,0 +1,107 @@
+// Checks for the answer cache: hits, scopes, and entries dropped once their
+// document is re-ingested. Runs the pipeline on the mock LLM with fixed
+// search results and a manifest in a temp directory.
+// Run from rag/: node --test test_cache.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Read when the modules load, so set before importing them
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "rag-cache-"));
+const MANIFEST = path.join(TMP, "manifest.json");
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  INGEST_MANIFEST: MANIFEST,
+  ANSWER_CACHE_REPLAY_MS: "0",
+});
+delete process.env.LLM_MOCK_REPLY;
+
+const { createRagPipeline } = await import("./pipeline.js");
+const { createAnswerCache, replayAnswer } = await import("./cache.js");
+const { getLLM } = await import("./llm.js");
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+const SOURCE = "safety/lockout/lockout.md";
+const setIngestedAt = (ingestedAt) =>
+  fs.writeFileSync(
+    MANIFEST,
+    JSON.stringify({
+      version: 1,
+      files: { [SOURCE]: { ingested_at: ingestedAt } },
+    })
+  );
+
+const LOCKOUT = {
+  id: "c1",
+  score: 1,
+  payload: {
+    source_path: SOURCE,
+    content:
+      "Switch off the press at the main panel. Lock the breaker and hang your own tag on it.",
+  },
+};
+const MESSAGE = "Tell me how to lock out the hydraulic press.";
+
+function pipelineWithCache(name) {
+  return createRagPipeline({
+    embed: async () => [1, 0, 0],
+    retrieve: async () => [LOCKOUT],
+    verify: async () => null,
+    cache: createAnswerCache(path.join(TMP, name)),
+  });
+}
+
+// LLM requests made while fn runs
+async function llmCalls(fn) {
+  const before = getLLM().calls.length;
+  const out = await fn();
+  return { out, calls: getLLM().calls.length - before };
+}
+
+test("a repeated question is replayed until its document is re-ingested", async () => {
+  setIngestedAt("2026-01-01T00:00:00.000Z");
+  const pipeline = pipelineWithCache("reingest.json");
+
+  const first = await pipeline.run({ message: MESSAGE });
+  assert.equal(first.cacheHit, null);
+  assert.equal(first.answer, MESSAGE); // the mock echoes the question
+
+  const { out: second, calls } = await llmCalls(() =>
+    pipeline.run({ message: MESSAGE })
+  );
+  assert.equal(second.cacheHit.query, MESSAGE);
+  assert.equal(second.answer, first.answer);
+  assert.deepEqual(
+    second.hits.map((h) => h.id),
+    ["c1"]
+  );
+  assert.equal(calls, 0);
+
+  setIngestedAt("2026-02-01T00:00:00.000Z");
+  const third = await pipeline.run({ message: MESSAGE });
+  assert.equal(third.cacheHit, null);
+});
+
+test("entries only match within the same scope", async () => {
+  setIngestedAt("2026-01-01T00:00:00.000Z");
+  const pipeline = pipelineWithCache("scope.json");
+  const filter = { must: [{ key: "course_id", match: { value: "safety" } }] };
+
+  await pipeline.run({ message: MESSAGE, filter });
+  const other = await pipeline.run({ message: MESSAGE });
+  const same = await pipeline.run({ message: MESSAGE, filter });
+
+  assert.equal(other.cacheHit, null);
+  assert.notEqual(same.cacheHit, null);
+});
+
+test("replayAnswer streams the cached text word by word", async () => {
+  const pieces = [];
+  await replayAnswer("Lock the  breaker.", (p) => pieces.push(p), {
+    delayMs: 0,
+  });
+  assert.deepEqual(pieces, ["Lock ", "the  ", "breaker."]);
+});
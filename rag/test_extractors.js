@@ -0,0 +1,224 @@
+// Fixture-based checks for the document extractors and chunkSections().
+// Run from rag/: node --test test_extractors.js
+// (needs jszip and node-html-parser for the DOCX / PPTX / HTML cases)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { chunkSections } from "./chunker.js";
+import { extractSections, supportedExtensions } from "./extractors/index.js";
+import { pptxToSections } from "./extractors/pptx.js";
+import { detectProcedures } from "./procedures.js";
+
+const FIXTURES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "extractors"
+);
+const fixture = (name) => extractSections(path.join(FIXTURES, name));
+
+const sectionWith = (sections, title) =>
+  sections.find((s) => s.meta.section_title === title);
+
+test("registry covers the supported formats", () => {
+  for (const ext of [".pdf", ".txt", ".md", ".html", ".docx", ".pptx"]) {
+    assert.ok(supportedExtensions().includes(ext), ext);
+  }
+});
+
+test("docx: headings, numbered steps, bullets and tables", async () => {
+  const sections = await fixture("lockout.docx");
+
+  const intro = sectionWith(sections, "Lockout Tagout SOP");
+  assert.equal(
+    intro.text,
+    "This SOP applies to all maintenance staff & contractors."
+  );
+
+  const procedure = sectionWith(sections, "Procedure");
+  // Title and Heading 1 share outline level 1
+  assert.deepEqual(procedure.meta.heading_path, ["Procedure"]);
+  assert.equal(
+    procedure.text,
+    "1. Notify affected employees.\n\n2. Shut down the machine.\n\n3. Apply lock and tag."
+  );
+
+  const ppe = sectionWith(sections, "Required PPE");
+  assert.deepEqual(ppe.meta.heading_path, ["Procedure", "Required PPE"]);
+  assert.match(ppe.text, /^- Safety glasses\n\n- Gloves\n\n/);
+  assert.match(ppe.text, /Energy source \| Isolation point/);
+  assert.match(ppe.text, /Electrical \| Main breaker MCC-3$/);
+});
+
+test("pptx: slides in deck order, hidden slides skipped, notes kept", async () => {
+  const sections = await fixture("forklift.pptx");
+  assert.deepEqual(
+    sections.map((s) => [s.meta.slide_number, s.meta.section_title]),
+    [
+      [1, "Forklift Basics"],
+      [2, "Load Limits"],
+    ]
+  );
+
+  const [basics, limits] = sections;
+  assert.match(basics.text, /1\. Check forks\n\n2\. Check horn/);
+  assert.match(
+    basics.text,
+    /Speaker notes: Remind learners to log the inspection\.$/
+  );
+  assert.doesNotMatch(basics.text, /Speaker notes:.*\b1\b.*\b1\b/);
+  assert.match(limits.text, /Load \| Max height\n\nPallet \| 2 m/);
+  assert.doesNotMatch(sections.map((s) => s.text).join(), /Draft slide/);
+});
+
+test("pptx: a deck without presentation rels is rejected clearly", async () => {
+  const JSZip = (await import("jszip")).default;
+  const zip = new JSZip();
+  zip.file(
+    "ppt/presentation.xml",
+    '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>'
+  );
+  const buffer = await zip.generateAsync({ type: "nodebuffer" });
+
+  await assert.rejects(
+    pptxToSections(buffer),
+    /not a PowerPoint file \(no ppt\/_rels\/presentation\.xml\.rels\)/
+  );
+});
+
+test("markdown: front matter, headings, lists and code", async () => {
+  const sections = await fixture("ppe.md");
+  const all = sections.map((s) => s.text).join("\n\n");
+  assert.doesNotMatch(all, /title: PPE Guide/);
+  assert.match(all, /LOTO_STEP_3/);
+
+  const respirator = sectionWith(sections, "Putting on a respirator");
+  assert.deepEqual(respirator.meta.heading_path, [
+    "Personal Protective Equipment",
+    "Putting on a respirator",
+  ]);
+  assert.match(
+    respirator.text,
+    /^1\. Inspect the straps\.\n\n2\. Place the mask over nose and mouth\.\n\n3\. Perform a seal check\./
+  );
+  assert.match(respirator.text, /Do not share respirators\./);
+
+  const hearing = sectionWith(sections, "Hearing protection");
+  assert.equal(hearing.meta.heading_path.length, 2);
+  assert.equal(hearing.text, "- Foam plugs\n\n- Ear muffs");
+});
+
+test("html: page furniture dropped, lists numbered, tables kept", async () => {
+  const sections = await fixture("spill.html");
+  const all = sections.map((s) => s.text).join("\n\n");
+  assert.doesNotMatch(all, /Home|tracking|Plant Safety Team|font-family/);
+
+  const steps = sectionWith(sections, "Steps");
+  assert.equal(
+    steps.text,
+    "1. Evacuate the immediate area.\n\n2. Put on chemical gloves.\n\n3. Contain the spill with absorbent pads."
+  );
+  const absorbents = sectionWith(sections, "Absorbents");
+  assert.deepEqual(absorbents.meta.heading_path, [
+    "Chemical Spill Response",
+    "Steps",
+    "Absorbents",
+  ]);
+  assert.equal(
+    absorbents.text,
+    "Chemical | Absorbent\n\nAcid | Neutralizing pad"
+  );
+});
+
+test("pdf: headings from font sizes, running headers and footers dropped", async () => {
+  const sections = await fixture("lockout.pdf");
+  const all = sections.map((s) => s.text).join("\n\n");
+  assert.doesNotMatch(all, /ACME Plant Safety Manual|Page \d of 3/);
+  assert.match(all, /who service machines .* before starting any/);
+
+  const steps = sections.filter(
+    (s) => s.meta.section_title === "2 Lockout steps"
+  );
+  assert.deepEqual(
+    steps.map((s) => s.meta.page_number),
+    [1, 2]
+  );
+  assert.deepEqual(steps[0].meta.heading_path, [
+    "Lockout Tagout Procedure",
+    "2 Lockout steps",
+  ]);
+  assert.match(
+    steps[0].text,
+    /\n\n3\. Isolate all energy sources at the main disconnect and verify the isolation point label\.$/
+  );
+  assert.equal(steps[1].text, "4. Apply your personal lock and tag.");
+
+  const verify = sectionWith(sections, "2.1 Verifying isolation");
+  assert.equal(verify.meta.heading_path.length, 3);
+  assert.match(
+    verify.text,
+    /\n\n- Check the gauges read zero\.\n\n- Bleed stored pressure\.$/
+  );
+
+  // Two columns are read one after the other, not line by line
+  assert.equal(
+    sectionWith(sections, "3 Energy sources").text,
+    "Electrical energy is isolated at the breaker panel MCC-3.\n\nHydraulic energy is released through the bleed valve."
+  );
+});
+
+test("chunkSections keeps slide and heading metadata on chunks", async () => {
+  const chunks = chunkSections(await fixture("forklift.pptx"));
+  assert.deepEqual(
+    chunks.map((c) => [c.meta.slide_number, c.meta.section_title]),
+    [
+      [1, "Forklift Basics"],
+      [2, "Load Limits"],
+    ]
+  );
+
+  const docChunks = chunkSections(await fixture("lockout.docx"));
+  const procedure = docChunks.find((c) => c.meta.section_title === "Procedure");
+  assert.deepEqual(procedure.meta.heading_path, ["Procedure"]);
+  assert.match(procedure.text, /Apply lock and tag/);
+
+  // A section that runs onto the next page stays one chunk
+  const pdfChunks = chunkSections(await fixture("lockout.pdf"));
+  const steps = pdfChunks.find(
+    (c) => c.meta.section_title === "2 Lockout steps"
+  );
+  assert.deepEqual(steps.meta.page_numbers, [1, 2]);
+  assert.match(steps.text, /^1\. Notify[\s\S]*3\. Isolate[\s\S]*4\. Apply/);
+});
+
+test("procedures: numbered steps in order, across pages", async () => {
+  const [lockout] = detectProcedures(await fixture("lockout.pdf"));
+  assert.equal(lockout.title, "Lockout steps");
+  assert.deepEqual(lockout.page_numbers, [1, 2]);
+  assert.deepEqual(
+    lockout.steps.map((s) => s.number),
+    [1, 2, 3, 4]
+  );
+  assert.equal(
+    lockout.steps[2].text,
+    "Isolate all energy sources at the main disconnect and verify the isolation point label."
+  );
+
+  // Bullets are steps only under a procedure-like heading
+  assert.deepEqual(
+    detectProcedures(await fixture("ppe.md")).map((p) => p.title),
+    ["Putting on a respirator"]
+  );
+
+  const [intro] = detectProcedures([
+    {
+      text: "To lock out the press:\n\n1. Stop it.\n\n- Press the red button\n\nWarning: hot.\n\n2. Lock it.\n\nDone.\n\nBack to work.\n\n3. Not a step of this list.",
+      meta: {},
+    },
+  ]);
+  assert.equal(intro.title, "To lock out the press");
+  assert.deepEqual(
+    intro.steps.map((s) => s.text),
+    ["Stop it.\n- Press the red button\nWarning: hot.", "Lock it."]
+  );
+});
@@ -0,0 +1,68 @@
+// Checks for the grounding check in refuse mode, with the llm method on the
+// mock LLM and fixed search results.
+// Run from rag/: node --test test_grounding.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+// Read when the modules load, so set before importing them
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  GROUNDING_MODE: "refuse",
+  GROUNDING_METHOD: "llm",
+});
+delete process.env.LLM_MOCK_REPLY;
+
+const { createRagPipeline, NO_ANSWER } = await import("./pipeline.js");
+const { verifyAnswer } = await import("./grounding.js");
+
+afterEach(() => delete process.env.LLM_MOCK_REPLY);
+
+const LOCKOUT = {
+  id: "c1",
+  score: 1,
+  payload: {
+    source_path: "safety/lockout/lockout.md",
+    content:
+      "Switch off the press at the main panel. Lock the breaker and hang your own tag on it.",
+  },
+};
+const ANSWER =
+  "Lock the breaker at the main panel and hang your own tag on it.";
+
+const pipeline = createRagPipeline({
+  embed: async () => [1, 0, 0],
+  retrieve: async () => [LOCKOUT],
+  callLLM: async () => ANSWER,
+});
+
+test("a supported answer stands", async () => {
+  process.env.LLM_MOCK_REPLY = '{"support": [1]}';
+  const ctx = await pipeline.run({ message: "How do I lock out the press?" });
+
+  assert.equal(ctx.answer, ANSWER);
+  assert.equal(ctx.grounding.action, "none");
+  assert.equal(ctx.grounding.score, 1);
+  assert.equal(ctx.grounding.sentences[0].chunk_id, "c1");
+});
+
+test("refuse mode replaces an unsupported answer", async () => {
+  process.env.LLM_MOCK_REPLY = '{"support": [0]}';
+  const ctx = await pipeline.run({ message: "How do I lock out the press?" });
+
+  assert.equal(ctx.grounding.action, "refused");
+  assert.equal(ctx.grounding.score, 0);
+  assert.equal(ctx.grounding.low_confidence, true);
+  assert.equal(ctx.answer, NO_ANSWER);
+});
+
+test("questions, short sentences and the refusal are not claims", async () => {
+  const grounding = await verifyAnswer({
+    answer: `Sure. ${NO_ANSWER} Do you want the lockout steps instead?`,
+    hits: [LOCKOUT],
+    refusal: NO_ANSWER,
+  });
+
+  assert.equal(grounding.score, null);
+  assert.equal(grounding.action, "none");
+  assert.ok(grounding.sentences.every((s) => s.supported === null));
+});
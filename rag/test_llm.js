@@ -0,0 +1,101 @@
+// Checks for the LLM provider layer: the mock backend and per-purpose
+// settings. No model server is needed.
+// Run from rag/: node --test test_llm.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Read when llm.js loads, so set before importing it
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  LLM_MODEL: "base-model",
+  LLM_REWRITE_MODEL: "small-model",
+  LLM_REWRITE_TEMPERATURE: "0.7",
+  LLM_ANSWER_NUM_CTX: "8192",
+});
+delete process.env.LLM_MOCK_REPLY;
+
+const { createMockLLM, describeLLM, generate, getLLM, llmSettings, stream } =
+  await import("./llm.js");
+
+const collect = async (pieces) => {
+  const out = [];
+  for await (const piece of pieces) out.push(piece);
+  return out;
+};
+
+test("mock: echoes the last line that isn't a label", async () => {
+  const llm = createMockLLM();
+  const prompt = "CONTEXT:\nsome text\n\nUSER:\nHow do I lock out the press?";
+
+  assert.equal(await llm.generate({ prompt }), "How do I lock out the press?");
+  assert.equal(await llm.generate({ prompt, json: true }), "{}");
+  assert.equal(llm.calls.length, 2);
+});
+
+test("mock: streams word by word, verbatim", async () => {
+  const llm = createMockLLM({ reply: () => "Lock the  breaker first." });
+  const pieces = await collect(llm.stream({ prompt: "x" }));
+
+  assert.deepEqual(pieces, ["Lock ", "the  ", "breaker ", "first."]);
+  assert.equal(pieces.join(""), "Lock the  breaker first.");
+});
+
+test("mock: LLM_MOCK_REPLY overrides the echo", async () => {
+  const llm = createMockLLM();
+  process.env.LLM_MOCK_REPLY = '{"route": "training"}';
+  try {
+    assert.equal(
+      await llm.generate({ prompt: "anything", json: true }),
+      '{"route": "training"}'
+    );
+  } finally {
+    delete process.env.LLM_MOCK_REPLY;
+  }
+});
+
+test("mock: aborting stops the stream with the signal's reason", async () => {
+  const llm = createMockLLM({ reply: () => "one two three" });
+  const controller = new AbortController();
+  const pieces = [];
+
+  await assert.rejects(async () => {
+    for await (const piece of llm.stream({
+      prompt: "x",
+      signal: controller.signal,
+    })) {
+      pieces.push(piece);
+      controller.abort(new Error("stopped"));
+    }
+  }, /stopped/);
+  assert.deepEqual(pieces, ["one "]);
+});
+
+test("settings: per-purpose overrides fall back to LLM_MODEL", () => {
+  assert.deepEqual(llmSettings("rewrite"), {
+    model: "small-model",
+    temperature: 0.7,
+    num_ctx: undefined,
+  });
+  assert.deepEqual(llmSettings("answer"), {
+    model: "base-model",
+    temperature: 0.2,
+    num_ctx: 8192,
+  });
+  assert.throws(() => llmSettings("poetry"), /Unknown LLM purpose "poetry"/);
+});
+
+test("generate and stream pass the purpose's settings to the provider", async () => {
+  const { calls } = getLLM();
+  const before = calls.length;
+
+  await generate({ purpose: "rewrite", prompt: "USER:\nwhat about gloves" });
+  await collect(stream({ purpose: "answer", prompt: "USER:\nhi" }));
+
+  const [rewrite, answer] = calls.slice(before);
+  assert.equal(rewrite.model, "small-model");
+  assert.equal(rewrite.temperature, 0.7);
+  assert.equal(answer.model, "base-model");
+  assert.equal(answer.num_ctx, 8192);
+  assert.equal(rewrite.purpose, undefined);
+  assert.equal(describeLLM().provider, "mock");
+});
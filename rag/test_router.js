@@ -0,0 +1,124 @@
+// Checks for query routing with the default ROUTER_MODE, through the
+// pipeline on the mock LLM with fixed search results.
+// Run from rag/: node --test test_router.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Read when the modules load, so set before importing them
+process.env.LLM_PROVIDER = "mock";
+delete process.env.ROUTER_MODE;
+delete process.env.LLM_MOCK_REPLY;
+
+const { createRagPipeline } = await import("./pipeline.js");
+const { getLLM } = await import("./llm.js");
+const { OFF_TOPIC_ANSWER, routeMessage } = await import("./router.js");
+
+const LOCKOUT = {
+  id: "c1",
+  score: 1,
+  payload: {
+    source_path: "safety/lockout/lockout.md",
+    content:
+      "Switch off the press at the main panel. Lock the breaker and hang your own tag on it.",
+  },
+};
+const HISTORY = [
+  { role: "user", content: "How do I lock out the press?" },
+  { role: "assistant", content: "Lock the breaker and tag it." },
+];
+
+// LLM requests made while fn runs
+async function llmCalls(fn) {
+  const before = getLLM().calls.length;
+  const out = await fn();
+  return { out, calls: getLLM().calls.length - before };
+}
+
+test("rules: whole-message small talk and clarifications", async () => {
+  assert.equal((await routeMessage({ message: "Thanks!" })).type, "chitchat");
+  assert.equal(
+    (await routeMessage({ message: "thanks, and what about gloves?" })).type,
+    "training"
+  );
+  assert.equal(
+    (await routeMessage({ message: "what do you mean?", history: HISTORY }))
+      .type,
+    "clarification"
+  );
+  // Nothing to clarify yet
+  assert.equal(
+    (await routeMessage({ message: "what do you mean?" })).type,
+    "training"
+  );
+});
+
+test("a greeting gets a canned reply without retrieval or an LLM call", async () => {
+  const pipeline = createRagPipeline({
+    embed: async () => assert.fail("nothing is embedded for chitchat"),
+    retrieve: async () => assert.fail("nothing is retrieved for chitchat"),
+  });
+  const { out: ctx, calls } = await llmCalls(() =>
+    pipeline.run({ message: "hi there" })
+  );
+
+  assert.deepEqual(ctx.route, { type: "chitchat", method: "rules" });
+  assert.equal(ctx.prompt, null);
+  assert.match(ctx.answer, /training/);
+  assert.equal(calls, 0);
+});
+
+test("a clarification is answered from the previous answer", async () => {
+  const pipeline = createRagPipeline({
+    retrieve: async () => assert.fail("nothing is retrieved to clarify"),
+    verify: async () => null,
+  });
+  const ctx = await pipeline.run({
+    message: "Can you explain that again?",
+    history: HISTORY,
+  });
+
+  assert.equal(ctx.route.type, "clarification");
+  assert.match(ctx.pinned, /Lock the breaker and tag it\./);
+  assert.deepEqual(ctx.hits, []);
+});
+
+test("a training question takes the full path", async () => {
+  const pipeline = createRagPipeline({
+    embed: async () => [1, 0, 0],
+    retrieve: async () => [LOCKOUT],
+    verify: async () => null,
+  });
+  const ctx = await pipeline.run({
+    message: "Tell me how to lock out the press.",
+  });
+
+  assert.deepEqual(ctx.route, { type: "training", method: "rules" });
+  assert.deepEqual(
+    ctx.hits.map((h) => h.id),
+    ["c1"]
+  );
+  assert.equal(ctx.answer, "Tell me how to lock out the press.");
+});
+
+test("an off-topic question is refused once nothing close is found", async () => {
+  // Fused hits keep the dense (cosine) score in scores.dense
+  const far = {
+    ...LOCKOUT,
+    score: 0.03,
+    scores: { dense: 0.08, keyword: 1.2, fused: 0.03 },
+  };
+  const pipeline = createRagPipeline({
+    embed: async () => [1, 0, 0],
+    retrieve: async () => [far],
+    verify: async () => null,
+  });
+  const { out: ctx, calls } = await llmCalls(() =>
+    pipeline.run({ message: "Who won the football world cup in 1998?" })
+  );
+
+  assert.deepEqual(ctx.route, { type: "off_topic", method: "rules" });
+  assert.equal(ctx.answer, OFF_TOPIC_ANSWER);
+  assert.deepEqual(ctx.hits, []);
+  assert.equal(ctx.grounding, null);
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,82 @@
+// Checks for the guided walkthrough: commands, stepping, and a question on
+// a step answered through the pipeline on the mock LLM.
+// Run from rag/: node --test test_walkthrough.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Read when the modules load, so set before importing them
+process.env.LLM_PROVIDER = "mock";
+delete process.env.LLM_MOCK_REPLY;
+
+const { createRagPipeline } = await import("./pipeline.js");
+const { getLLM } = await import("./llm.js");
+const { applyCommand, parseCommand, startWalkthrough, stepContext } =
+  await import("./walkthrough.js");
+
+const procedure = {
+  id: "p1",
+  title: "Lockout Tagout",
+  source_path: "safety/lockout/lockout.md",
+  steps: [
+    { number: 1, text: "Switch off the press." },
+    { number: 2, text: "Lock the breaker." },
+    { number: 3, text: "Test that the press won't start." },
+  ],
+};
+
+test("commands: short messages only, questions pass through", () => {
+  assert.equal(parseCommand("Next step please"), "next");
+  assert.equal(parseCommand("go back"), "back");
+  assert.equal(parseCommand("Say that again!"), "repeat");
+  assert.equal(parseCommand("stop"), "exit");
+  assert.equal(
+    parseCommand("next, which breaker is the right one here?"),
+    null
+  );
+});
+
+test("next, back and repeat move through the steps", () => {
+  let { step, text } = startWalkthrough(procedure);
+  assert.equal(step, 0);
+  assert.match(text, /Step 1 of 3\. Switch off the press\.$/);
+
+  ({ step, text } = applyCommand(procedure, step, "back"));
+  assert.equal(step, 0);
+  assert.match(text, /^This is the first step\./);
+
+  ({ step, text } = applyCommand(procedure, step, "next"));
+  assert.equal(step, 1);
+  assert.equal(text, "Step 2 of 3. Lock the breaker.");
+  assert.deepEqual(applyCommand(procedure, step, "repeat"), { step, text });
+
+  ({ step } = applyCommand(procedure, step, "next"));
+  ({ step, text } = applyCommand(procedure, step, "back"));
+  assert.equal(step, 1);
+  assert.equal(text, "Step 2 of 3. Lock the breaker.");
+
+  ({ step, text } = applyCommand(procedure, 2, "next"));
+  assert.equal(step, null);
+  assert.match(text, /Walkthrough complete\.$/);
+});
+
+test("a question is answered with the step pinned and never cached", async () => {
+  const pipeline = createRagPipeline({
+    embed: async () => [1, 0, 0],
+    retrieve: async () => [],
+    verify: async () => null,
+    cache: {
+      lookup: async () => assert.fail("walkthrough questions skip the cache"),
+      store: async () => assert.fail("walkthrough answers are not cached"),
+    },
+  });
+  const before = getLLM().calls.length;
+
+  const ctx = await pipeline.run({
+    message: "Tell me which breaker this step means.",
+    pinned: stepContext(procedure, 1),
+  });
+
+  assert.match(ctx.prompt, /> 2\. Lock the breaker\./);
+  assert.equal(ctx.answer, "Tell me which breaker this step means.");
+  assert.equal(getLLM().calls.length - before, 1);
+});
@@ -0,0 +1,229 @@
+import "dotenv/config";
+import { spawn } from "child_process";
+import { createSentenceSplitter } from "./sentences.js";
+
+//
+// TEXT-TO-SPEECH
+//
+// Turns one sentence at a time into a WAV buffer. Pick a backend with
+// TTS_PROVIDER:
+//   espeak - espeak-ng CLI, local, robotic but always available (default)
+//   piper  - Piper neural TTS CLI, local (TTS_PIPER_MODEL = .onnx voice)
+//   silent - silence of roughly speaking length; for developing the avatar
+//            and player without a speech engine installed
+//
+// Every provider exposes the same shape:
+//   { name, synthesize(text) -> { audio: Buffer (WAV), duration_ms } }
+//
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || "espeak").toLowerCase();
+
+const TTS_ESPEAK_BIN = process.env.TTS_ESPEAK_BIN || "espeak-ng";
+const TTS_ESPEAK_VOICE = process.env.TTS_ESPEAK_VOICE || "en-us";
+const TTS_ESPEAK_WPM = process.env.TTS_ESPEAK_WPM || "165";
+
+const TTS_PIPER_BIN = process.env.TTS_PIPER_BIN || "piper";
+const TTS_PIPER_MODEL = process.env.TTS_PIPER_MODEL;
+const TTS_PIPER_SAMPLE_RATE = parseInt(
+  process.env.TTS_PIPER_SAMPLE_RATE || "22050",
+  10
+);
+
+// Average speaking rate used by the silent backend
+const SILENT_CHARS_PER_SECOND = 14;
+const SILENT_SAMPLE_RATE = 16000;
+
+//
+// WAV helpers (16-bit mono PCM)
+//
+export function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Duration from the fmt/data chunks. espeak writes 0xFFFFFFFF as the data
+// size when streaming to stdout, so the real buffer length is used instead.
+export function wavDurationMs(wav) {
+  let offset = 12;
+  let byteRate = 0;
+
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString("ascii", offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    if (id === "fmt ") byteRate = wav.readUInt32LE(offset + 16);
+    if (id === "data") {
+      const bytes = Math.min(size, wav.length - offset - 8);
+      return byteRate ? Math.round((bytes / byteRate) * 1000) : 0;
+    }
+    offset += 8 + size;
+  }
+  return 0;
+}
+
+// Run a CLI with the text on stdin and collect stdout
+function runToBuffer(bin, args, input) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(bin, args);
+    const out = [];
+    let err = "";
+
+    proc.stdout.on("data", (d) => out.push(d));
+    proc.stderr.on("data", (d) => (err += d));
+    proc.on("error", (e) =>
+      reject(new Error(`${bin} could not be started: ${e.message}`))
+    );
+    proc.on("close", (code) => {
+      if (code === 0) resolve(Buffer.concat(out));
+      else reject(new Error(`${bin} exited with ${code}: ${err.trim()}`));
+    });
+
+    proc.stdin.end(input);
+  });
+}
+
+// Speech engines read symbols aloud; the prompt asks for plain speech but
+// stray markdown still slips through
+function speakable(text) {
+  return text
+    .replace(/[*_#`>|~]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+//
+// Backends
+//
+function createEspeakTts() {
+  return {
+    name: "espeak",
+    async synthesize(text) {
+      const audio = await runToBuffer(
+        TTS_ESPEAK_BIN,
+        ["--stdout", "-v", TTS_ESPEAK_VOICE, "-s", TTS_ESPEAK_WPM, "--stdin"],
+        speakable(text)
+      );
+      return { audio, duration_ms: wavDurationMs(audio) };
+    },
+  };
+}
+
+function createPiperTts() {
+  if (!TTS_PIPER_MODEL) {
+    throw new Error("TTS_PROVIDER=piper needs TTS_PIPER_MODEL (.onnx voice)");
+  }
+  return {
+    name: "piper",
+    async synthesize(text) {
+      const pcm = await runToBuffer(
+        TTS_PIPER_BIN,
+        ["--model", TTS_PIPER_MODEL, "--output-raw"],
+        speakable(text)
+      );
+      const audio = pcmToWav(pcm, TTS_PIPER_SAMPLE_RATE);
+      return { audio, duration_ms: wavDurationMs(audio) };
+    },
+  };
+}
+
+// Roughly how long a sentence takes to say
+const estimateSeconds = (text) =>
+  Math.max(speakable(text).length, 1) / SILENT_CHARS_PER_SECOND;
+
+function createSilentTts() {
+  return {
+    name: "silent",
+    async synthesize(text) {
+      const samples = Math.round(estimateSeconds(text) * SILENT_SAMPLE_RATE);
+      const audio = pcmToWav(Buffer.alloc(samples * 2), SILENT_SAMPLE_RATE);
+      return { audio, duration_ms: wavDurationMs(audio) };
+    },
+  };
+}
+
+const FACTORIES = {
+  espeak: createEspeakTts,
+  piper: createPiperTts,
+  silent: createSilentTts,
+};
+
+let tts = null;
+
+export function getTts() {
+  if (!tts) {
+    const factory = FACTORIES[TTS_PROVIDER];
+    if (!factory) {
+      throw new Error(
+        `Unknown TTS_PROVIDER "${TTS_PROVIDER}" (expected ${Object.keys(
+          FACTORIES
+        ).join(", ")})`
+      );
+    }
+    tts = factory();
+  }
+  return tts;
+}
+
+//
+// SPEECH STREAM
+//
+// Text in (LLM tokens, any size), spoken sentences out, in order. Sentences
+// are synthesized one after another while generation carries on, and each
+// gets its position on the playback timeline:
+//   onSpeech({ index, text, start_ms, duration_ms, audio })
+// onSpeech may be async; the next sentence waits for it.
+// finish() speaks whatever text is left and resolves after the last sentence.
+// cancel() drops every sentence not yet passed to onSpeech.
+// With timingOnly nothing is synthesized: audio is null and durations are
+// estimated, for when something else (a vendor avatar) does the speaking.
+//
+const timingEngine = {
+  async synthesize(text) {
+    return {
+      audio: null,
+      duration_ms: Math.round(estimateSeconds(text) * 1000),
+    };
+  },
+};
+
+export function createSpeechStream(onSpeech, { timingOnly = false } = {}) {
+  const engine = timingOnly ? timingEngine : getTts();
+  let queue = Promise.resolve();
+  let clockMs = 0;
+  let cancelled = false;
+
+  const splitter = createSentenceSplitter((sentence) => {
+    queue = queue.then(async () => {
+      if (cancelled) return;
+      const { audio, duration_ms } = await engine.synthesize(sentence.text);
+      if (cancelled) return;
+      const start_ms = clockMs;
+      clockMs += duration_ms;
+      await onSpeech({ ...sentence, start_ms, duration_ms, audio });
+    });
+    // A failed sentence is reported by finish(), not as an unhandled rejection
+    queue.catch(() => {});
+  });
+
+  return {
+    push: (text) => splitter.push(text),
+    async finish() {
+      splitter.flush();
+      await queue;
+    },
+    cancel() {
+      cancelled = true;
+    },
+  };
+}
@@ -0,0 +1,123 @@
+//
+// VISEMES
+//
+// Rough text -> mouth-shape timeline for the local avatar. There is no
+// phonemizer here: letters and common digraphs are mapped straight to one of
+// a few mouth shapes and spread over the sentence's audio duration, weighted
+// so vowels are held longer than consonants. Good enough for a 2D mouth.
+//
+// Shapes:
+//   rest    mouth closed and relaxed (pauses, between sentences)
+//   closed  lips pressed (m, b, p)
+//   teeth   lower lip on teeth (f, v)
+//   tongue  tongue behind teeth (t, d, n, l, th)
+//   open    jaw open (a)
+//   wide    spread lips (e, i, s, z, ch, sh, j, c, g, k, y, h)
+//   round   rounded lips (o, u, w, r, q)
+//
+export const VISEMES = [
+  "rest",
+  "closed",
+  "teeth",
+  "tongue",
+  "open",
+  "wide",
+  "round",
+];
+
+const DIGRAPHS = {
+  th: "tongue",
+  sh: "wide",
+  ch: "wide",
+  ph: "teeth",
+  oo: "round",
+  ee: "wide",
+  ou: "round",
+  ow: "round",
+};
+
+const LETTERS = {
+  a: "open",
+  e: "wide",
+  i: "wide",
+  o: "round",
+  u: "round",
+  y: "wide",
+  m: "closed",
+  b: "closed",
+  p: "closed",
+  f: "teeth",
+  v: "teeth",
+  t: "tongue",
+  d: "tongue",
+  n: "tongue",
+  l: "tongue",
+  s: "wide",
+  z: "wide",
+  c: "wide",
+  g: "wide",
+  j: "wide",
+  k: "wide",
+  x: "wide",
+  h: "wide",
+  w: "round",
+  r: "round",
+  q: "round",
+};
+
+// Relative duration of each unit
+const VOWEL_WEIGHT = 1;
+const CONSONANT_WEIGHT = 0.6;
+const WORD_GAP_WEIGHT = 0.3;
+const PAUSE_WEIGHT = 2; // , ; : and the like
+
+// Letters of one word -> [{ v, w }]
+function wordUnits(word) {
+  const units = [];
+  for (let i = 0; i < word.length; i++) {
+    const pair = word.slice(i, i + 2);
+    if (DIGRAPHS[pair]) {
+      units.push({ v: DIGRAPHS[pair], w: VOWEL_WEIGHT });
+      i++;
+      continue;
+    }
+    const v = LETTERS[word[i]];
+    if (!v) continue; // silent / unknown characters
+    const vowel = "aeiouy".includes(word[i]);
+    units.push({ v, w: vowel ? VOWEL_WEIGHT : CONSONANT_WEIGHT });
+  }
+  return units;
+}
+
+// Text + duration -> [{ t, v }] with t in ms from the start of the sentence,
+// sorted and without repeats. Always ends with "rest".
+export function textToVisemes(text, durationMs) {
+  const units = [];
+  const tokens = text.toLowerCase().match(/[a-z']+|[,;:.!?]/g) || [];
+
+  for (const token of tokens) {
+    if (/^[,;:.!?]$/.test(token)) {
+      units.push({ v: "rest", w: PAUSE_WEIGHT });
+      continue;
+    }
+    units.push(...wordUnits(token));
+    units.push({ v: "rest", w: WORD_GAP_WEIGHT });
+  }
+
+  const total = units.reduce((sum, u) => sum + u.w, 0);
+  if (total === 0 || !durationMs) return [{ t: 0, v: "rest" }];
+
+  const timeline = [];
+  let at = 0;
+  for (const u of units) {
+    const t = Math.round((at / total) * durationMs);
+    if (timeline.length === 0 || timeline[timeline.length - 1].v !== u.v) {
+      timeline.push({ t, v: u.v });
+    }
+    at += u.w;
+  }
+  if (timeline[timeline.length - 1].v !== "rest") {
+    timeline.push({ t: durationMs, v: "rest" });
+  }
+  return timeline;
+}
@@ -0,0 +1,120 @@
+//
+// GUIDED WALKTHROUGH
+//
+// Presents a stored procedure (procedures.js) one step at a time. The
+// client keeps the progress it was last sent (describeWalkthrough()) and
+// sends { procedure_id, step } back with every message, so each turn is
+// one of:
+//   start    - no state yet: find the procedure the learner asked for
+//   next / back / repeat / exit - typed or spoken commands
+//   question - answered with the current step pinned in the context, after
+//              which the walkthrough waits on the same step
+//
+// Step texts are the stored ones, read out verbatim; only questions go to
+// the LLM. Inside this module `step` is the 0-based index into
+// procedure.steps.
+//
+export const NO_PROCEDURE =
+  "I couldn't find a step-by-step procedure for that in the training materials.";
+
+const COMMANDS = [
+  ["next", /^(next|continue|go on|done|ok(ay)?|ready|got it)\b/],
+  ["back", /^(back|go back|previous|previous step)\b/],
+  ["repeat", /^(repeat|again|say (that|it) again|what was that)\b/],
+  ["exit", /^(exit|stop|quit|end|cancel)\b/],
+];
+// Longer messages are questions, even when they start like a command
+const MAX_COMMAND_WORDS = 4;
+
+// "Next step please" -> "next"; null when the message is a question
+export function parseCommand(message) {
+  const text = message
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text || text.split(" ").length > MAX_COMMAND_WORDS) return null;
+  return COMMANDS.find(([, re]) => re.test(text))?.[0] || null;
+}
+
+function stepText(procedure, step) {
+  const { number, text } = procedure.steps[step];
+  return `Step ${number} of ${procedure.steps.length}. ${text}`;
+}
+
+// Progress for the client, also stored with each assistant turn:
+// { procedure_id, title, step, total, active }, step 1-based for display
+export function describeWalkthrough(procedure, step) {
+  return {
+    procedure_id: procedure.id,
+    title: procedure.title,
+    step: step == null ? null : step + 1,
+    total: procedure.steps.length,
+    active: step != null,
+  };
+}
+
+export function startWalkthrough(procedure) {
+  return {
+    step: 0,
+    text:
+      `Let's go through ${procedure.title}, ${procedure.steps.length} steps. ` +
+      `Say next for the following step, repeat to hear one again, or back ` +
+      `to go back.\n\n${stepText(procedure, 0)}`,
+  };
+}
+
+// -> { step, text }; step is null once the walkthrough is over
+export function applyCommand(procedure, step, command) {
+  const last = procedure.steps.length - 1;
+  switch (command) {
+    case "next":
+      if (step >= last) {
+        return {
+          step: null,
+          text: `That was the last step of ${procedure.title}. Walkthrough complete.`,
+        };
+      }
+      return { step: step + 1, text: stepText(procedure, step + 1) };
+    case "back":
+      if (step === 0) {
+        return {
+          step,
+          text: `This is the first step.\n\n${stepText(procedure, 0)}`,
+        };
+      }
+      return { step: step - 1, text: stepText(procedure, step - 1) };
+    case "repeat":
+      return { step, text: stepText(procedure, step) };
+    case "exit":
+      return {
+        step: null,
+        text: `Ending the walkthrough of ${procedure.title}.`,
+      };
+    default:
+      throw new Error(`Unknown walkthrough command "${command}"`);
+  }
+}
+
+// Pinned in front of the retrieved context when the learner asks about a step
+export function stepContext(procedure, step) {
+  const steps = procedure.steps
+    .map((s, i) => `${i === step ? ">" : " "} ${s.number}. ${s.text}`)
+    .join("\n");
+  return (
+    `CURRENT PROCEDURE: ${procedure.title} (${procedure.source_path})\n` +
+    `The learner is on step ${step + 1} of ${
+      procedure.steps.length
+    }, marked with >.\n` +
+    steps
+  );
+}
+
+// Said after answering a question, so the learner knows how to go on
+export function resumeText(procedure, step) {
+  return step >= procedure.steps.length - 1
+    ? `Say next to finish, or repeat to hear step ${step + 1} again.`
+    : `Say next for step ${step + 2}, or repeat to hear step ${
+        step + 1
+      } again.`;
+}
@@ -0,0 +1,215 @@
+import { useEffect, useState } from "react";
+
+const JOB_POLL_MS = 2000;
+const ACCEPTED_FILES = ".pdf,.txt,.md,.markdown,.html,.htm,.docx,.pptx";
+
+// fetch against the admin API; throws with the server's error message
+async function adminFetch(apiBase, token, path, options = {}) {
+  const res = await fetch(`${apiBase}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+function describeProgress(job) {
+  if (job.status === "failed") return job.error;
+  if (job.status !== "running" || !job.progress) return job.status;
+  const { stage, done, total } = job.progress;
+  return total ? `${stage} ${done}/${total} chunks` : stage;
+}
+
+// Corpus management for training coordinators: upload, re-ingest and delete
+// documents, and follow the ingestion jobs
+export default function AdminPage({ apiBase }) {
+  const [token, setToken] = useState(
+    () => sessionStorage.getItem("adminToken") || ""
+  );
+  const [documents, setDocuments] = useState([]);
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState(null);
+  const [upload, setUpload] = useState({ course: "", module: "", file: null });
+
+  // Poll jobs; documents are reloaded whenever another job finishes
+  useEffect(() => {
+    const load = () =>
+      adminFetch(apiBase, token, "/api/jobs")
+        .then((data) => setJobs(data.jobs))
+        .catch((err) => setError(err.message));
+    load();
+    const timer = setInterval(load, JOB_POLL_MS);
+    return () => clearInterval(timer);
+  }, [apiBase, token]);
+
+  // Changes whenever a job finishes; the server only keeps the newest
+  // finished jobs, so their count stops changing after a while
+  const lastFinished = jobs.reduce(
+    (latest, j) =>
+      j.finished_at && j.finished_at > latest ? j.finished_at : latest,
+    ""
+  );
+
+  useEffect(() => {
+    adminFetch(apiBase, token, "/api/documents")
+      .then((data) => setDocuments(data.documents))
+      .catch((err) => setError(err.message));
+  }, [apiBase, token, lastFinished]);
+
+  // Run an action, then show its job straight away
+  async function act(path, options) {
+    setError(null);
+    try {
+      const { job } = await adminFetch(apiBase, token, path, options);
+      setJobs((js) => [job, ...js.filter((j) => j.id !== job.id)]);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function submitUpload(e) {
+    e.preventDefault();
+    if (!upload.file) return;
+    const params = new URLSearchParams({
+      course_id: upload.course.trim(),
+      module_id: upload.module.trim(),
+      filename: upload.file.name,
+    });
+    act(`/api/documents?${params}`, { method: "POST", body: upload.file });
+    setUpload({ ...upload, file: null });
+    e.target.reset();
+  }
+
+  function reingest(doc) {
+    act("/api/documents/reingest", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ source_path: doc.source_path }),
+    });
+  }
+
+  function remove(doc) {
+    if (!window.confirm(`Delete ${doc.source_path} and all its chunks?`)) {
+      return;
+    }
+    const params = new URLSearchParams({ source_path: doc.source_path });
+    act(`/api/documents?${params}`, { method: "DELETE" });
+  }
+
+  const courses = [...new Set(documents.map((d) => d.course_id))];
+  const busy = new Set(
+    jobs
+      .filter((j) => j.status === "queued" || j.status === "running")
+      .map((j) => j.source_path)
+  );
+
+  return (
+    <div className="container admin">
+      <h1>Training Documents</h1>
+      <a className="admin-back" href="#">
+        ← Back to chat
+      </a>
+
+      <label className="admin-token">
+        Admin token
+        <input
+          type="password"
+          value={token}
+          placeholder="ADMIN_TOKEN from the server's .env"
+          onChange={(e) => {
+            setToken(e.target.value);
+            sessionStorage.setItem("adminToken", e.target.value);
+          }}
+        />
+      </label>
+
+      {error && <div className="msg-error">{error}</div>}
+
+      <form className="admin-upload" onSubmit={submitUpload}>
+        <input
+          list="admin-courses"
+          placeholder="Course"
+          required
+          value={upload.course}
+          onChange={(e) => setUpload({ ...upload, course: e.target.value })}
+        />
+        <datalist id="admin-courses">
+          {courses.map((c) => (
+            <option key={c} value={c} />
+          ))}
+        </datalist>
+        <input
+          placeholder="Module"
+          required
+          value={upload.module}
+          onChange={(e) => setUpload({ ...upload, module: e.target.value })}
+        />
+        <input
+          type="file"
+          accept={ACCEPTED_FILES}
+          required
+          onChange={(e) => setUpload({ ...upload, file: e.target.files[0] })}
+        />
+        <button type="submit">Upload</button>
+      </form>
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Document</th>
+            <th>Status</th>
+            <th>Chunks</th>
+            <th>Ingested</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {documents.map((d) => (
+            <tr key={d.source_path}>
+              <td>{d.source_path}</td>
+              <td className={`doc-status ${d.status}`}>{d.status}</td>
+              <td>{d.chunks}</td>
+              <td>
+                {d.ingested_at ? new Date(d.ingested_at).toLocaleString() : ""}
+              </td>
+              <td className="admin-actions">
+                <button
+                  disabled={busy.has(d.source_path) || d.status === "missing"}
+                  onClick={() => reingest(d)}
+                >
+                  Re-ingest
+                </button>
+                <button
+                  className="danger"
+                  disabled={busy.has(d.source_path)}
+                  onClick={() => remove(d)}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2>Jobs</h2>
+      <ul className="admin-jobs">
+        {jobs.map((j) => (
+          <li key={j.id} className={`job ${j.status}`}>
+            <span>
+              {j.type} {j.source_path}
+            </span>
+            {j.status === "running" && j.progress?.total ? (
+              <progress value={j.progress.done} max={j.progress.total} />
+            ) : null}
+            <span className="job-status">{describeProgress(j)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,113 +1,423 @@
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
 import "./App.css";
+import AdminPage from "./AdminPage.jsx";
+import AvatarPanel from "./AvatarPanel.jsx";
+import { createAvatarPlayer } from "./avatarPlayer.js";
+import CoursePicker from "./CoursePicker.jsx";
+import GroundingBadge from "./GroundingBadge.jsx";
+import MicButton from "./MicButton.jsx";
+import QuizPage from "./QuizPage.jsx";
+import {
+  openMicrophone,
+  stopMicrophone,
+  watchVoiceActivity,
+} from "./microphone.js";
+import SessionSidebar from "./SessionSidebar.jsx";
+import SourceCards from "./SourceCards.jsx";
+import { readSSE } from "./sse.js";
+import WalkthroughBar from "./WalkthroughBar.jsx";
 
-const API_URL = "http://localhost:3001/api/chat/stream";
+const API_BASE = "http://localhost:3001";
+const API_URL = `${API_BASE}/api/chat/stream`;
+const SPEAK_URL = `${API_BASE}/api/chat/speak`;
+const WALKTHROUGH_URL = `${API_BASE}/api/walkthrough/stream`;
+const WALKTHROUGH_SPEAK_URL = `${API_BASE}/api/walkthrough/speak`;
+
+// The server's error message from a failed JSON response
+async function responseError(res) {
+  const data = await res.json().catch(() => ({}));
+  return new Error(data.error || `HTTP ${res.status}`);
+}
+
+async function fetchSessions() {
+  const res = await fetch(`${API_BASE}/api/sessions`);
+  if (!res.ok) throw new Error(`sessions: HTTP ${res.status}`);
+  return (await res.json()).sessions;
+}
+
+async function fetchCourses() {
+  const res = await fetch(`${API_BASE}/api/courses`);
+  if (!res.ok) throw new Error(`courses: HTTP ${res.status}`);
+  return (await res.json()).courses;
+}
+
+// #/admin shows document management, #/quiz knowledge checks, anything
+// else the chat
+function currentView() {
+  if (window.location.hash === "#/admin") return "admin";
+  if (window.location.hash === "#/quiz") return "quiz";
+  return "chat";
+}
+
+// The walkthrough a stored conversation was in the middle of, if any
+function lastWalkthrough(messages) {
+  const last = messages.findLast((m) => m.walkthrough !== undefined);
+  return last?.walkthrough?.active ? last.walkthrough : null;
+}
+
+function chatUrl({ voice, guided }) {
+  if (guided) return voice ? WALKTHROUGH_SPEAK_URL : WALKTHROUGH_URL;
+  return voice ? SPEAK_URL : API_URL;
+}
+
+function speakerLabel(message) {
+  if (message.role !== "user") return "Assistant";
+  return message.voice ? "You (voice)" : "You";
+}
 
 export default function App() {
+  const [view, setView] = useState(currentView);
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [streaming, setStreaming] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [scope, setScope] = useState({ course_id: null, module_id: null });
+  const [voice, setVoice] = useState(false);
+  const [player] = useState(createAvatarPlayer);
+  // Spoken audio outlasts the stream; Stop stays up until it has finished
+  const [speaking, setSpeaking] = useState(false);
+  const [voiceError, setVoiceError] = useState(null);
+  const [sessionError, setSessionError] = useState(null);
+  // Guided mode: messages go to the walkthrough routes; `walkthrough` is the
+  // progress of the running one
+  const [guided, setGuided] = useState(false);
+  const [walkthrough, setWalkthrough] = useState(null);
   const abortRef = useRef(null);
 
-  async function sendMessage() {
-    if (!input.trim() || streaming) return;
+  function refreshSessions() {
+    return fetchSessions()
+      .then(setSessions)
+      .catch(() => {}); // sidebar just stays stale if the API is down
+  }
 
-    const userMessage = { role: "user", content: input };
-    setMessages((m) => [...m, userMessage, { role: "assistant", content: "" }]);
-    setInput("");
-    setStreaming(true);
+  useEffect(() => {
+    fetchSessions()
+      .then(setSessions)
+      .catch(() => {});
+    fetchCourses()
+      .then(setCourses)
+      .catch(() => {});
+  }, []);
 
-    const controller = new AbortController();
-    abortRef.current = controller;
+  useEffect(() => {
+    const onHashChange = () => setView(currentView());
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
 
-    const history = messages
-  .filter((m) => m.role === "user" || m.role === "assistant")
-  .slice(-12); // last 6 turns
+  // The player has no events, so it is sampled like AvatarPanel does
+  useEffect(() => {
+    if (!voice) return;
+    const timer = setInterval(() => setSpeaking(player.speaking()), 200);
+    return () => {
+      clearInterval(timer);
+      setSpeaking(false);
+    };
+  }, [voice, player]);
 
-const res = await fetch(API_URL, {
-  method: "POST",
-  headers: { "Content-Type": "application/json" },
-  body: JSON.stringify({
-    message: userMessage.content,
-    history,
-  }),
-  signal: controller.signal,
-});
+  // While answers are spoken, talking over the avatar cuts it off. Only the
+  // local player is watched: the app never opens a vendor (HeyGen) session,
+  // so the server speaks through this player whatever AVATAR_PROVIDER is
+  useEffect(() => {
+    if (!voice) return;
+    let cancelled = false;
+    let stream = null;
+    let stopWatching = null;
 
+    openMicrophone()
+      .then((s) => {
+        if (cancelled) return stopMicrophone(s);
+        stream = s;
+        stopWatching = watchVoiceActivity(s, () => {
+          if (!player.speaking()) return;
+          player.stop();
+          abortRef.current?.abort();
+        });
+      })
+      .catch(() => {}); // no microphone: no barge-in, typing still works
 
-    const reader = res.body.getReader();
-const decoder = new TextDecoder();
+    return () => {
+      cancelled = true;
+      stopWatching?.();
+      if (stream) stopMicrophone(stream);
+    };
+  }, [voice, player]);
 
-let buffer = "";
-let assistantText = "";
+  async function openSession(id) {
+    if (streaming) return;
+    player.stop();
+    setSessionError(null);
+    try {
+      const res = await fetch(`${API_BASE}/api/sessions/${id}`);
+      if (!res.ok) throw await responseError(res);
+      const session = await res.json();
+      setSessionId(session.id);
+      setMessages(session.messages);
+      setWalkthrough(lastWalkthrough(session.messages));
+    } catch (err) {
+      setSessionError(`Couldn't open that conversation: ${err.message}`);
+    }
+  }
 
-while (true) {
-  const { value, done } = await reader.read();
-  if (done) break;
+  function newChat() {
+    if (streaming) return;
+    player.stop();
+    setSessionError(null);
+    setSessionId(null);
+    setMessages([]);
+    setWalkthrough(null);
+  }
 
-  buffer += decoder.decode(value, { stream: true });
+  async function sendMessage(text = input, { viaVoice = false } = {}) {
+    if (!text.trim() || streaming) return;
 
-  const lines = buffer.split("\n");
-  buffer = lines.pop(); // keep incomplete line
+    // Voice questions show the recognized text before the answer
+    const userMessage = {
+      role: "user",
+      content: text,
+      ...(viaVoice && { voice: true }),
+    };
+    setMessages((m) => [...m, userMessage, { role: "assistant", content: "" }]);
+    if (!viaVoice) setInput("");
+    setStreaming(true);
+    player.stop(); // a new question cuts off the previous spoken answer
 
-  for (const line of lines) {
-    if (!line.startsWith("data:")) continue;
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    let assistantText = "";
+
+    // Patch the assistant message that is currently streaming
+    const updateAssistant = (patch) =>
+      setMessages((msgs) => {
+        const updated = [...msgs];
+        updated[updated.length - 1] = {
+          ...updated[updated.length - 1],
+          ...patch,
+        };
+        return updated;
+      });
+
+    try {
+      // History lives on the server; start a session on the first question
+      let activeId = sessionId;
+      if (!activeId) {
+        const created = await fetch(`${API_BASE}/api/sessions`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: "{}",
+          signal: controller.signal,
+        });
+        if (!created.ok) throw await responseError(created);
+        activeId = (await created.json()).id;
+        setSessionId(activeId);
+      }
+
+      const url = chatUrl({ voice, guided: guided || walkthrough });
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          message: userMessage.content,
+          sessionId: activeId,
+          ...(scope.course_id && { course_id: scope.course_id }),
+          ...(scope.module_id && { module_id: scope.module_id }),
+          ...(walkthrough && {
+            walkthrough: {
+              procedure_id: walkthrough.procedure_id,
+              step: walkthrough.step,
+            },
+          }),
+        }),
+        signal: controller.signal,
+      });
+      // Validation errors (400/404) come back as JSON, not as a stream
+      if (!res.ok) throw await responseError(res);
 
-    const data = line.replace(/^data:\s*/, "");
+      await readSSE(res, ({ event, data }) => {
+        const payload = JSON.parse(data);
 
-    if (data === "done") {
-      setStreaming(false);
-      return;
+        switch (event) {
+          case "meta":
+            updateAssistant({ meta: payload });
+            break;
+          case "walkthrough":
+            setWalkthrough(
+              payload.walkthrough?.active ? payload.walkthrough : null
+            );
+            break;
+          case "citations":
+            updateAssistant({ citations: payload.citations });
+            break;
+          case "token":
+            // Tokens are concatenated exactly as the model produced them
+            assistantText += payload.text;
+            updateAssistant({ content: assistantText });
+            break;
+          case "grounding":
+            // A refused answer is replaced by the refusal
+            updateAssistant({
+              grounding: payload,
+              ...(payload.action === "refused" && { content: payload.answer }),
+            });
+            break;
+          case "audio":
+            player.addAudio(payload.index, payload.data);
+            break;
+          case "avatar":
+            if (payload.type === "speak" && payload.visemes) {
+              player.addVisemes(payload.index, payload.visemes);
+            } else if (payload.type === "interrupt") {
+              player.stop();
+            }
+            break;
+          case "error":
+            updateAssistant({ error: payload.message });
+            return false;
+          case "done":
+            updateAssistant({ timings: payload.timings });
+            return false;
+        }
+      });
+    } catch (err) {
+      // Stop button or barge-in; the server keeps the partial answer
+      if (err.name === "AbortError") updateAssistant({ interrupted: true });
+      else updateAssistant({ error: err.message });
     }
 
-    if (assistantText.length === 0) {
-  assistantText = data;
-} else {
-  // Add space unless data already starts with punctuation or newline
-  if (/^[\s.,!?*:\n]/.test(data)) {
-    assistantText += data;
-  } else {
-    assistantText += " " + data;
+    setStreaming(false);
+    refreshSessions();
   }
-}
 
+  // Cancels generation on the server and any speech still playing
+  function stopAnswer() {
+    abortRef.current?.abort();
+    player.stop();
+    setSpeaking(false);
+  }
 
-    setMessages((msgs) => {
-      const updated = [...msgs];
-      updated[updated.length - 1] = {
-        role: "assistant",
-        content: assistantText,
-      };
-      return updated;
+  async function sendVoice(wav) {
+    setVoiceError(null);
+    const res = await fetch(`${API_BASE}/api/transcribe`, {
+      method: "POST",
+      headers: { "Content-Type": "audio/wav" },
+      body: wav,
     });
+    const data = await res.json();
+    if (!res.ok) {
+      setVoiceError(data.error || `transcribe: HTTP ${res.status}`);
+    } else if (!data.text) {
+      setVoiceError("Didn't catch that, please try again.");
+    } else {
+      sendMessage(data.text, { viaVoice: true });
+    }
   }
-}
-    setStreaming(false);
+
+  if (view === "admin") return <AdminPage apiBase={API_BASE} />;
+  if (view === "quiz") return <QuizPage apiBase={API_BASE} courses={courses} />;
+
+  let placeholder = "Ask a training question...";
+  if (walkthrough) {
+    placeholder = "Say next, repeat or back, or ask about this step...";
+  } else if (guided) {
+    placeholder = "Which procedure? e.g. lockout steps";
   }
 
   return (
-    <div className="container">
-      <h1>Training Assistant</h1>
-
-      <div className="chat">
-        {messages.map((m, i) => (
-          <div key={i} className={`msg ${m.role}`}>
-            <strong>{m.role === "user" ? "You" : "Assistant"}:</strong>
-            <pre>{m.content}</pre>
-          </div>
-        ))}
-      </div>
+    <div className="layout">
+      <SessionSidebar
+        sessions={sessions}
+        activeId={sessionId}
+        onSelect={openSession}
+        onNew={newChat}
+      />
 
-      <div className="input">
-        <input
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyDown={(e) => e.key === "Enter" && sendMessage()}
-          placeholder="Ask a training question..."
+      <div className="container">
+        <h1>Training Assistant</h1>
+
+        <CoursePicker
+          courses={courses}
+          scope={scope}
+          onChange={setScope}
+          disabled={streaming}
         />
-        <button onClick={sendMessage} disabled={streaming}>
-          Send
-        </button>
+
+        <label className="voice-toggle">
+          <input
+            type="checkbox"
+            checked={voice}
+            disabled={streaming}
+            onChange={(e) => {
+              setVoice(e.target.checked);
+              if (!e.target.checked) player.stop();
+            }}
+          />
+          Speak answers
+        </label>
+
+        <label className="voice-toggle">
+          <input
+            type="checkbox"
+            checked={guided}
+            disabled={streaming}
+            onChange={(e) => {
+              setGuided(e.target.checked);
+              if (!e.target.checked) setWalkthrough(null);
+            }}
+          />
+          Guided walkthrough
+        </label>
+
+        {voice && <AvatarPanel player={player} />}
+
+        {walkthrough && (
+          <WalkthroughBar
+            walkthrough={walkthrough}
+            disabled={streaming}
+            onCommand={(command) => sendMessage(command)}
+          />
+        )}
+
+        {sessionError && <div className="msg-error">{sessionError}</div>}
+
+        <div className="chat">
+          {messages.map((m, i) => (
+            <div key={i} className={`msg ${m.role}`}>
+              <strong>{speakerLabel(m)}:</strong>
+              <pre>{m.content}</pre>
+              {m.interrupted && <div className="msg-note">Stopped</div>}
+              <GroundingBadge grounding={m.grounding} />
+              {m.error && <div className="msg-error">{m.error}</div>}
+              {m.role === "assistant" && <SourceCards citations={m.citations} />}
+            </div>
+          ))}
+        </div>
+
+        <div className="input">
+          <input
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && sendMessage()}
+            placeholder={placeholder}
+          />
+          {streaming || speaking ? (
+            <button className="stop-button" onClick={stopAnswer}>
+              Stop
+            </button>
+          ) : (
+            <button onClick={() => sendMessage()}>Send</button>
+          )}
+          <MicButton
+            disabled={streaming}
+            onRecorded={(wav) =>
+              sendVoice(wav).catch((err) => setVoiceError(err.message))
+            }
+            onError={(err) => setVoiceError(err.message)}
+          />
+        </div>
+        {voiceError && <div className="msg-error">{voiceError}</div>}
       </div>
     </div>
   );
@@ -0,0 +1,66 @@
+import { useEffect, useState } from "react";
+
+// Mouth per viseme (see rag/visemes.js): ellipse radii plus teeth / tongue
+const MOUTHS = {
+  rest: { rx: 18, ry: 2 },
+  closed: { rx: 16, ry: 1 },
+  teeth: { rx: 17, ry: 5, teeth: true },
+  tongue: { rx: 16, ry: 7, tongue: true },
+  open: { rx: 16, ry: 14 },
+  wide: { rx: 22, ry: 6 },
+  round: { rx: 9, ry: 10 },
+};
+
+// Local stand-in for a vendor avatar: a 2D face whose mouth follows the
+// viseme timeline of whatever the player is speaking
+export default function AvatarPanel({ player }) {
+  const [viseme, setViseme] = useState("rest");
+
+  // Sample the player once per frame; React skips renders for the same shape
+  useEffect(() => {
+    let frame;
+    const tick = () => {
+      setViseme(player.currentViseme());
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [player]);
+
+  const mouth = MOUTHS[viseme] || MOUTHS.rest;
+
+  return (
+    <div className={`avatar-panel ${viseme === "rest" ? "" : "speaking"}`}>
+      <svg viewBox="0 0 160 160" width="140" height="140" aria-hidden="true">
+        <circle cx="80" cy="80" r="70" className="avatar-face" />
+        <circle cx="55" cy="65" r="7" className="avatar-eye" />
+        <circle cx="105" cy="65" r="7" className="avatar-eye" />
+        <ellipse
+          cx="80"
+          cy="112"
+          rx={mouth.rx}
+          ry={mouth.ry}
+          className="avatar-mouth"
+        />
+        {mouth.teeth && (
+          <rect
+            x={80 - mouth.rx * 0.6}
+            y={112 - mouth.ry}
+            width={mouth.rx * 1.2}
+            height={mouth.ry * 0.8}
+            className="avatar-teeth"
+          />
+        )}
+        {mouth.tongue && (
+          <ellipse
+            cx="80"
+            cy={112 + mouth.ry * 0.4}
+            rx={mouth.rx * 0.6}
+            ry={mouth.ry * 0.5}
+            className="avatar-tongue"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
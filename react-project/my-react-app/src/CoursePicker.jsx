@@ -0,0 +1,36 @@
+// Scopes retrieval to one course and, optionally, one module
+export default function CoursePicker({ courses, scope, onChange, disabled }) {
+  const course = courses.find((c) => c.course_id === scope.course_id);
+
+  return (
+    <div className="course-picker">
+      <select
+        value={scope.course_id || ""}
+        disabled={disabled}
+        onChange={(e) => onChange({ course_id: e.target.value || null })}
+      >
+        <option value="">All courses</option>
+        {courses.map((c) => (
+          <option key={c.course_id} value={c.course_id}>
+            {c.course_id}
+          </option>
+        ))}
+      </select>
+
+      <select
+        value={scope.module_id || ""}
+        disabled={disabled || !course}
+        onChange={(e) =>
+          onChange({ ...scope, module_id: e.target.value || null })
+        }
+      >
+        <option value="">All modules</option>
+        {course?.modules.map((m) => (
+          <option key={m.module_id} value={m.module_id}>
+            {m.module_id}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// Shown under answers the grounding check couldn't match to the sources;
+// hovering lists the sentences it found no support for
+export default function GroundingBadge({ grounding }) {
+  if (!grounding?.low_confidence) return null;
+
+  const unsupported = grounding.sentences
+    .filter((s) => s.supported === false)
+    .map((s) => `• ${s.text}`)
+    .join("\n");
+  const share = `${Math.round(grounding.score * 100)}% supported`;
+
+  return (
+    <div
+      className={`grounding-badge ${grounding.action}`}
+      title={`Not found in the sources:\n${unsupported}`}
+    >
+      {grounding.action === "refused"
+        ? `Answer withheld: not supported by the training materials (${share})`
+        : `Low confidence: check against the sources (${share})`}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { useRef, useState } from "react";
+import {
+  openMicrophone,
+  startRecording,
+  stopMicrophone,
+  toWav16k,
+} from "./microphone.js";
+
+// Push-to-talk: hold to record, release to hand the recording (16 kHz WAV)
+// to onRecorded
+export default function MicButton({ disabled, onRecorded, onError }) {
+  const [recording, setRecording] = useState(false);
+  const pressedRef = useRef(false);
+  const sessionRef = useRef(null);
+
+  async function start() {
+    if (disabled || pressedRef.current) return;
+    pressedRef.current = true;
+    try {
+      const stream = await openMicrophone();
+      // Released before the microphone was ready
+      if (!pressedRef.current) return stopMicrophone(stream);
+      sessionRef.current = { stream, recorder: startRecording(stream) };
+      setRecording(true);
+    } catch (err) {
+      pressedRef.current = false;
+      onError(err);
+    }
+  }
+
+  async function stop() {
+    pressedRef.current = false;
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    setRecording(false);
+
+    try {
+      const blob = await session.recorder.stop();
+      onRecorded(await toWav16k(blob));
+    } catch (err) {
+      onError(err);
+    } finally {
+      stopMicrophone(session.stream);
+    }
+  }
+
+  return (
+    <button
+      className={`mic-button ${recording ? "recording" : ""}`}
+      disabled={disabled}
+      onPointerDown={start}
+      onPointerUp={stop}
+      onPointerLeave={stop}
+      title="Hold to ask by voice"
+    >
+      {recording ? "Listening…" : "Hold to talk"}
+    </button>
+  );
+}
@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import CoursePicker from "./CoursePicker.jsx";
+import SourceCards from "./SourceCards.jsx";
+
+const QUESTION_COUNTS = [3, 5, 10];
+
+// fetch JSON; throws with the server's error message
+async function quizFetch(apiBase, path, options = {}) {
+  const res = await fetch(`${apiBase}${path}`, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// A graded question's source, in the shape SourceCards expects
+function sourceCitation(source) {
+  return { ...source, id: source.point_id, snippet: source.passage };
+}
+
+function percent(score) {
+  return `${Math.round(score * 100)}%`;
+}
+
+function QuestionResult({ question, result }) {
+  const chosen =
+    question.type === "multiple_choice"
+      ? (question.choices[result.answer.choice_index] ?? "no answer")
+      : result.answer.text || "no answer";
+
+  return (
+    <li className={`quiz-result ${result.correct ? "correct" : "wrong"}`}>
+      <p className="quiz-question">{question.question}</p>
+      <p>
+        Your answer: {chosen}
+        <span className="quiz-mark">
+          {result.correct ? "✓ correct" : "✗ incorrect"}
+        </span>
+      </p>
+      {!result.correct && <p>Expected: {result.expected}</p>}
+      {result.rubric && (
+        <ul className="quiz-rubric">
+          {result.rubric.map((r) => (
+            <li key={r.point} className={r.met ? "met" : ""}>
+              {r.met ? "✓" : "✗"} {r.point}
+            </li>
+          ))}
+        </ul>
+      )}
+      {result.feedback && <p className="quiz-feedback">{result.feedback}</p>}
+      <SourceCards citations={[sourceCitation(result.source)]} />
+    </li>
+  );
+}
+
+// Knowledge checks: generate a quiz for a course / module, answer it and see
+// what was right, with the passage each question came from. Scores are
+// stored on the server under the learner's name.
+export default function QuizPage({ apiBase, courses }) {
+  const [learner, setLearner] = useState(
+    () => localStorage.getItem("learnerId") || ""
+  );
+  const [scope, setScope] = useState({ course_id: null, module_id: null });
+  const [count, setCount] = useState(5);
+  const [quiz, setQuiz] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [attempt, setAttempt] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const learnerId = learner.trim();
+
+  useEffect(() => {
+    if (!learnerId) return;
+    quizFetch(
+      apiBase,
+      `/api/learners/${encodeURIComponent(learnerId)}/attempts`
+    )
+      .then((data) => setHistory(data.attempts))
+      .catch(() => {}); // history just stays stale if the API is down
+  }, [apiBase, learnerId, attempt]);
+
+  async function run(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function startQuiz() {
+    run(async () => {
+      const created = await quizFetch(apiBase, "/api/quizzes", {
+        method: "POST",
+        body: JSON.stringify({ ...scope, count }),
+      });
+      setQuiz(created);
+      setAnswers({});
+      setAttempt(null);
+    });
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    run(async () => {
+      const graded = await quizFetch(
+        apiBase,
+        `/api/quizzes/${quiz.id}/attempts`,
+        {
+          method: "POST",
+          body: JSON.stringify({
+            learner_id: learnerId,
+            answers: quiz.questions.map((q) => ({
+              question_id: q.id,
+              ...answers[q.id],
+            })),
+          }),
+        }
+      );
+      setAttempt(graded);
+    });
+  }
+
+  function answer(questionId, value) {
+    setAnswers((a) => ({ ...a, [questionId]: value }));
+  }
+
+  const results = new Map(attempt?.results.map((r) => [r.question_id, r]));
+
+  return (
+    <div className="container quiz">
+      <h1>Knowledge Check</h1>
+      <a className="admin-back" href="#">
+        ← Back to chat
+      </a>
+
+      <div className="quiz-setup">
+        <input
+          placeholder="Your name"
+          value={learner}
+          maxLength={100}
+          onChange={(e) => {
+            setLearner(e.target.value);
+            localStorage.setItem("learnerId", e.target.value);
+          }}
+        />
+        <CoursePicker
+          courses={courses}
+          scope={scope}
+          onChange={setScope}
+          disabled={busy}
+        />
+        <select
+          value={count}
+          disabled={busy}
+          onChange={(e) => setCount(Number(e.target.value))}
+        >
+          {QUESTION_COUNTS.map((n) => (
+            <option key={n} value={n}>
+              {n} questions
+            </option>
+          ))}
+        </select>
+        <button disabled={busy || !learnerId} onClick={startQuiz}>
+          {quiz ? "New quiz" : "Start quiz"}
+        </button>
+      </div>
+
+      {busy && <div className="quiz-status">Working…</div>}
+      {error && <div className="msg-error">{error}</div>}
+
+      {quiz && !attempt && (
+        <form className="quiz-form" onSubmit={submit}>
+          <h2>{quiz.title}</h2>
+          <ol>
+            {quiz.questions.map((q) => (
+              <li key={q.id}>
+                <p className="quiz-question">{q.question}</p>
+                {q.type === "multiple_choice" ? (
+                  q.choices.map((choice, i) => (
+                    <label key={choice} className="quiz-choice">
+                      <input
+                        type="radio"
+                        name={q.id}
+                        checked={answers[q.id]?.choice_index === i}
+                        onChange={() => answer(q.id, { choice_index: i })}
+                      />
+                      {choice}
+                    </label>
+                  ))
+                ) : (
+                  <textarea
+                    rows={3}
+                    value={answers[q.id]?.text || ""}
+                    onChange={(e) => answer(q.id, { text: e.target.value })}
+                  />
+                )}
+              </li>
+            ))}
+          </ol>
+          <button type="submit" disabled={busy}>
+            Submit answers
+          </button>
+        </form>
+      )}
+
+      {attempt && (
+        <div className="quiz-results">
+          <h2>
+            {quiz.title}: {attempt.correct} of {attempt.total} correct (
+            {percent(attempt.score)})
+          </h2>
+          <ol>
+            {quiz.questions.map((q) => (
+              <QuestionResult
+                key={q.id}
+                question={q}
+                result={results.get(q.id)}
+              />
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {learnerId && history.length > 0 && (
+        <>
+          <h2>Your results</h2>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Quiz</th>
+                <th>Score</th>
+                <th>Submitted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((a) => (
+                <tr key={a.id}>
+                  <td>{a.quiz_title}</td>
+                  <td>
+                    {a.correct}/{a.total} ({percent(a.score)})
+                  </td>
+                  <td>{new Date(a.submitted_at).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
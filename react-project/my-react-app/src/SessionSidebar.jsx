@@ -0,0 +1,31 @@
+// Past conversations stored on the server; click one to resume it
+export default function SessionSidebar({ sessions, activeId, onSelect, onNew }) {
+  return (
+    <aside className="sidebar">
+      <button className="new-chat" onClick={onNew}>
+        New chat
+      </button>
+
+      <ul className="session-list">
+        {sessions.map((s) => (
+          <li key={s.id}>
+            <button
+              className={`session-item${s.id === activeId ? " active" : ""}`}
+              onClick={() => onSelect(s.id)}
+              title={new Date(s.updated_at).toLocaleString()}
+            >
+              {s.title}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <a className="quiz-link" href="#/quiz">
+        Knowledge check
+      </a>
+      <a className="admin-link" href="#/admin">
+        Manage documents
+      </a>
+    </aside>
+  );
+}
@@ -0,0 +1,41 @@
+// Expandable list of the passages an answer was retrieved from
+export default function SourceCards({ citations }) {
+  if (!citations || citations.length === 0) return null;
+
+  return (
+    <details className="sources">
+      <summary>Sources ({citations.length})</summary>
+      {citations.map((c, i) => (
+        <details key={c.id ?? i} className="source-card">
+          <summary>
+            <span className="source-path">{c.source_path}</span>
+            {c.page_numbers?.length > 0 && (
+              <span className="source-page">
+                {c.page_numbers.length > 1
+                  ? `pages ${c.page_numbers[0]}–${c.page_numbers.at(-1)}`
+                  : `page ${c.page_numbers[0]}`}
+              </span>
+            )}
+            {c.slide_number != null && (
+              <span className="source-page">slide {c.slide_number}</span>
+            )}
+            {c.section_title && (
+              <span className="source-section">{c.section_title}</span>
+            )}
+            {typeof c.score === "number" && (
+              <span className="source-score">{c.score.toFixed(3)}</span>
+            )}
+          </summary>
+          {c.scores && (
+            <div className="source-scores">
+              {Object.entries(c.scores)
+                .map(([name, v]) => `${name} ${v.toFixed(3)}`)
+                .join(" · ")}
+            </div>
+          )}
+          <p className="source-snippet">{c.snippet}</p>
+        </details>
+      ))}
+    </details>
+  );
+}
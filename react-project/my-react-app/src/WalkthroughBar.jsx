@@ -0,0 +1,38 @@
+// Progress and controls for a running guided walkthrough. The buttons send
+// the same commands a learner can type or say.
+export default function WalkthroughBar({ walkthrough, disabled, onCommand }) {
+  const { title, step, total } = walkthrough;
+
+  return (
+    <div className="walkthrough-bar">
+      <div className="walkthrough-title">
+        {title}
+        <span className="walkthrough-step">
+          step {step} of {total}
+        </span>
+      </div>
+      <progress value={step} max={total} />
+      <div className="walkthrough-actions">
+        <button
+          disabled={disabled || step <= 1}
+          onClick={() => onCommand("back")}
+        >
+          Back
+        </button>
+        <button disabled={disabled} onClick={() => onCommand("repeat")}>
+          Repeat
+        </button>
+        <button disabled={disabled} onClick={() => onCommand("next")}>
+          {step >= total ? "Finish" : "Next"}
+        </button>
+        <button
+          className="danger"
+          disabled={disabled}
+          onClick={() => onCommand("exit")}
+        >
+          Exit
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+// Plays the spoken answer from /api/chat/speak and tells the avatar which
+// mouth shape to show right now.
+//
+// Sentence audio (base64 WAV) is decoded and queued back to back on one
+// AudioContext; each sentence's viseme timeline is matched against the
+// actual playback clock, so the mouth stays in sync even when synthesis
+// falls behind and playback has to wait.
+export function createAvatarPlayer() {
+  let ctx = null;
+  let queueEnd = 0; // AudioContext time the last queued sentence ends
+  let decoding = Promise.resolve();
+  let sources = [];
+  let generation = 0; // bumped by stop() so late decodes are dropped
+  const segments = new Map(); // index -> { startAt, duration }
+  const visemes = new Map(); // index -> [{ t, v }]
+
+  function context() {
+    if (!ctx) ctx = new AudioContext();
+    return ctx;
+  }
+
+  function decodeBase64(data) {
+    const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+    return bytes.buffer;
+  }
+
+  return {
+    // Queue one sentence's audio; sentences must arrive in order
+    addAudio(index, data) {
+      const audio = context();
+      const gen = generation;
+      decoding = decoding
+        .then(() => audio.decodeAudioData(decodeBase64(data)))
+        .then((buffer) => {
+          if (gen !== generation) return;
+          const startAt = Math.max(queueEnd, audio.currentTime + 0.05);
+          const source = audio.createBufferSource();
+          source.buffer = buffer;
+          source.connect(audio.destination);
+          source.start(startAt);
+          sources.push(source);
+          segments.set(index, { startAt, duration: buffer.duration });
+          queueEnd = startAt + buffer.duration;
+        })
+        .catch(() => {}); // a broken clip is skipped, the rest still plays
+    },
+
+    addVisemes(index, timeline) {
+      visemes.set(index, timeline);
+    },
+
+    // Mouth shape for this instant ("rest" when nothing is playing)
+    currentViseme() {
+      if (!ctx) return "rest";
+      const now = ctx.currentTime;
+      for (const [index, { startAt, duration }] of segments) {
+        if (now < startAt || now >= startAt + duration) continue;
+        const offsetMs = (now - startAt) * 1000;
+        let shape = "rest";
+        for (const { t, v } of visemes.get(index) || []) {
+          if (t > offsetMs) break;
+          shape = v;
+        }
+        return shape;
+      }
+      return "rest";
+    },
+
+    speaking() {
+      return Boolean(ctx) && ctx.currentTime < queueEnd;
+    },
+
+    // Stop playback and forget everything queued
+    stop() {
+      generation++;
+      for (const source of sources) source.stop();
+      sources = [];
+      segments.clear();
+      visemes.clear();
+      decoding = Promise.resolve();
+      queueEnd = 0;
+    },
+  };
+}
@@ -0,0 +1,112 @@
+// Microphone helpers for voice questions: recording, conversion to the WAV
+// format the transcription endpoint expects, and voice-activity detection.
+
+const STT_SAMPLE_RATE = 16000;
+
+export function openMicrophone() {
+  return navigator.mediaDevices.getUserMedia({
+    // Echo cancellation keeps the avatar's own voice from counting as speech
+    audio: { echoCancellation: true, noiseSuppression: true },
+  });
+}
+
+export function stopMicrophone(stream) {
+  for (const track of stream.getTracks()) track.stop();
+}
+
+// Start recording; the returned stop() resolves with the recorded Blob
+export function startRecording(stream) {
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  recorder.start();
+
+  return {
+    stop() {
+      return new Promise((resolve) => {
+        recorder.onstop = () =>
+          resolve(new Blob(chunks, { type: recorder.mimeType }));
+        recorder.stop();
+      });
+    },
+  };
+}
+
+// Any recording the browser can decode -> 16 kHz mono 16-bit WAV
+export async function toWav16k(blob) {
+  const decoder = new AudioContext();
+  const decoded = await decoder.decodeAudioData(await blob.arrayBuffer());
+  decoder.close();
+
+  const length = Math.ceil(decoded.duration * STT_SAMPLE_RATE);
+  const offline = new OfflineAudioContext(1, length, STT_SAMPLE_RATE);
+  const source = offline.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offline.destination);
+  source.start();
+  const samples = (await offline.startRendering()).getChannelData(0);
+
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const writeString = (offset, s) =>
+    [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, STT_SAMPLE_RATE, true);
+  view.setUint32(28, STT_SAMPLE_RATE * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((v, i) => {
+    const clamped = Math.max(-1, Math.min(1, v));
+    view.setInt16(44 + i * 2, clamped * 0x7fff, true);
+  });
+
+  return new Blob([view], { type: "audio/wav" });
+}
+
+// Calls onVoice once the input level stays above `threshold` (RMS, 0..1)
+// for `holdMs`, then waits for silence before it can fire again. Returns a
+// function that stops watching.
+export function watchVoiceActivity(
+  stream,
+  onVoice,
+  { threshold = 0.04, holdMs = 250 } = {}
+) {
+  const ctx = new AudioContext();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  ctx.createMediaStreamSource(stream).connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+
+  let loudSince = null;
+  let fired = false;
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(
+      samples.reduce((sum, v) => sum + v * v, 0) / samples.length
+    );
+    const now = performance.now();
+
+    if (rms < threshold) {
+      loudSince = null;
+      fired = false;
+    } else if (loudSince === null) {
+      loudSince = now;
+    } else if (!fired && now - loudSince >= holdMs) {
+      fired = true;
+      onVoice();
+    }
+  }, 50);
+
+  return () => {
+    clearInterval(timer);
+    ctx.close();
+  };
+}
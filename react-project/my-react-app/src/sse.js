@@ -0,0 +1,51 @@
+// Minimal Server-Sent Events reader for fetch() responses (EventSource
+// can't POST). Calls onEvent({ event, data, id }) for every complete event;
+// `event` defaults to "message" as in the SSE spec. Returning false from
+// onEvent stops reading. The chat server's event names and JSON payloads
+// are documented in rag/sse.js.
+export async function readSSE(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, "\n");
+
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+
+      const evt = parseBlock(block);
+      if (evt && onEvent(evt) === false) {
+        reader.cancel();
+        return;
+      }
+    }
+  }
+}
+
+function parseBlock(block) {
+  let event = "message";
+  let id = null;
+  const data = [];
+
+  for (const line of block.split("\n")) {
+    if (!line || line.startsWith(":")) continue;
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+    else if (field === "id") id = value;
+  }
+
+  if (data.length === 0) return null;
+  return { event, data: data.join("\n"), id };
+}